@@ -25,7 +25,13 @@ makedocs(modules = [Mera],
 		# The search index scales with TOTAL content, not per-page size, so splitting pages
 		# would not shrink it; currently ~2.3 MiB.
 		search_size_threshold_warn = 5_000_000,   # ~4.8 MiB; default was 500 KiB
-		assets = ["assets/custom.css", "assets/custom.js", "assets/music_player.js"],
+		assets = ["assets/custom.css", "assets/mera_performance.js", "assets/mera_store.js",
+		          "assets/music_notice.js", "assets/mera_offline.js", "assets/custom.js",
+		          "assets/mera_code_picker.js", "assets/mera_navigation.js", "assets/music_queue.js",
+		          "assets/music_sync.js", "assets/music_sources.js", "assets/music_engine.js",
+		          "assets/music_protocol.js", "assets/music_media_session.js", "assets/music_shortcuts.js",
+		          "assets/music_focus.js", "assets/music_local_tracks.js", "assets/music_player.js",
+		          "assets/music_view_topbar.js", "assets/music_view_widget.js"],
 		canonical = "https://manuelbehrendt.github.io/Mera.jl/",
 		footer = "© $(_YEAR) Manuel Behrendt. Built with [Documenter.jl](https://github.com/JuliaDocs/Documenter.jl) and [Julia](https://julialang.org). ",
 		collapselevel = 1,  # Optimize section collapsing for left sidebar
@@ -152,4 +158,30 @@ makedocs(modules = [Mera],
                     ]
 )
 
+# Simulation codes that have tabbed examples (<div class="mera-tab" data-code="…">)
+# anywhere in the built pages, most examples first, for the navbar code picker
+# (mera_code_picker.js). Codes differing only in case are one code, as in
+# custom.js; the spelling used most often is kept.
+let build = joinpath(@__DIR__, "build"), counts = Dict{String,Dict{String,Int}}()
+    for (dir, _, files) in walkdir(build), file in files
+        endswith(file, ".html") || continue
+        html = read(joinpath(dir, file), String)
+        for tag in eachmatch(r"<div\b[^>]*\bclass=\"mera-tab\"[^>]*>", html)
+            m = match(r"\bdata-code=\"([^\"]+)\"", tag.match)
+            m === nothing && continue
+            spellings = get!(counts, lowercase(m.captures[1]), Dict{String,Int}())
+            spellings[m.captures[1]] = get(spellings, m.captures[1], 0) + 1
+        end
+    end
+    ranked = sort(collect(values(counts)), by = s -> (-sum(values(s)), lowercase(argmax(s))))
+    codes = [argmax(s) for s in ranked]
+    write(joinpath(build, "assets", "mera_codes.json"), "[" * join(("\"$(escape_string(c))\"" for c in codes), ", ") * "]")
+end
+
+# Stamp the offline service worker with this build, so readers' browsers drop
+# the pages and assets they kept from the previous one
+let sw = joinpath(@__DIR__, "build", "mera_sw.js")
+    isfile(sw) && write(sw, replace(read(sw, String), "__MERA_BUILD__" => Dates.format(now(UTC), "yyyymmddHHMMSS")))
+end
+
 deploydocs(repo = "github.com/ManuelBehrendt/Mera.jl.git")
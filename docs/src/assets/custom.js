@@ -10,72 +10,367 @@ console.log('MERA.jl documentation loaded successfully');
 // ===========================================================================
 // Multi-code tabs (code-switcher)
 // Renders converter-emitted <div class="mera-tabs"> groups as tab bars.
-// The selected code is synced across every group and page via localStorage
-// (sphinx-tabs behaviour); a hash link into a hidden tab opens that tab.
-// Without JS the sections simply render stacked (see custom.css).
+// The selected code is synced across every group and page via the shared
+// state store, mera_store.js (sphinx-tabs behaviour); a hash link into a
+// hidden tab opens that tab. Without JS the sections simply render stacked
+// (see custom.css). Runs again for pages loaded in place (mera_navigation.js).
+//
+// The preference is an ordered list ("PLUTO, else RAMSES"): each group shows
+// the first code it has, or its first tab. Picking a tab moves that code to
+// the front. Readers may also show every code stacked; the navbar picker
+// (mera_code_picker.js) edits both and hears of changes by the
+// mera-tabs-change event.
+//
+// Each bar is a WAI-ARIA tablist with a roving tabindex: Tab reaches the
+// selected tab, the arrow keys, Home and End move along the bar and select as
+// they go. As that switches every group, the page is scrolled to keep the bar
+// in place and a toast (a polite live region) says what changed.
+//
+// A code picked in another docs window is taken over live, keeping the part
+// of this page in view where it was.
+//
+// Other codes are hidden="until-found": the browser's find-in-page searches
+// them and fires beforematch, which selects the code holding the match. After
+// a Documenter search result the section's tabs are searched for the query;
+// the first tab with a hit is selected and the words are marked.
+//
+// Links: ?code=PLUTO selects that code over the saved choice, without saving
+// it, until the reader picks a tab. Each tab bar has a button copying such a
+// link, and the choice can be kept in the address bar as the reader switches
+// (a checkbox in the navbar picker):
+//
+//   meraTabs.linkFor('PLUTO')       this page with PLUTO selected
+//   meraTabs.setKeepInURL(true)     remembered; meraTabs.inURL() reads it
+//   meraTabs.setOrder(['PLUTO', 'RAMSES'])
+//   meraTabs.setShowAll(true)
 // ===========================================================================
 (function () {
-    const KEY = 'mera-simcode';
+    const PARAM = 'code';
+    const SEARCH_KEY = 'mera-search-hit';
+    const prefs = window.meraStore.namespace('tabs');
+    let revealHash = () => {};
+    let selectAll = () => {};
+    let linkedCode = null;
+    let pageCodes = [];
+
+    const order = () => prefs.get('order', []);
+    const showAll = () => prefs.get('showAll', false);
+    // What the groups look for, a ?code= link first
+    const preferred = () => linkedCode ? [linkedCode].concat(order()) : order();
+    const changed = () => document.dispatchEvent(new CustomEvent('mera-tabs-change'));
+    // Codes are matched whatever their case: a saved "GADGET" selects "Gadget"
+    const sameCode = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+    // The page's URL with `code` selected, hash kept
+    function linkFor(code) {
+        const url = new URL(location.href);
+        url.searchParams.set(PARAM, code);
+        return url.href;
+    }
+    function keepInURL(code) {
+        if (!code || !prefs.get('inURL', false)) return;
+        if (new URL(location.href).searchParams.get(PARAM) === code) return;
+        history.replaceState(history.state, '', linkFor(code));
+    }
+    // A pick overrides the ?code= link; unless kept in the URL, it goes
+    function dropLinkedCode() {
+        linkedCode = null;
+        if (prefs.get('inURL', false)) return;
+        const url = new URL(location.href);
+        if (!url.searchParams.has(PARAM)) return;
+        url.searchParams.delete(PARAM);
+        history.replaceState(history.state, '', url.href);
+    }
+    function copyLink(code) {
+        const link = linkFor(code);
+        const copied = navigator.clipboard && window.isSecureContext
+            ? navigator.clipboard.writeText(link)
+            : Promise.reject(new Error('clipboard unavailable'));
+        copied.then(
+            () => window.meraNotice.show(`Link with ${code} selected copied`, { icon: '🔗', key: 'tabs' }),
+            () => window.meraNotice.show(`Could not copy the link: ${link}`, { type: 'warning', icon: '🔗', key: 'tabs' }));
+    }
+
+    // Remember the query behind a Documenter search result, for the page it
+    // opens (a full load, or in place with mera_navigation.js)
+    document.addEventListener('click', (event) => {
+        const link = event.target.closest && event.target.closest('a.search-result-link');
+        const input = document.querySelector('.search-modal input, #documenter-search-query');
+        if (!link || !input || !input.value.trim()) return;
+        try {
+            sessionStorage.setItem(SEARCH_KEY, JSON.stringify({ url: link.href, query: input.value.trim() }));
+        } catch (e) { /* no storage: no highlighting */ }
+    }, true);
+    function takeSearchHit() {
+        let hit = null;
+        try {
+            hit = JSON.parse(sessionStorage.getItem(SEARCH_KEY) || 'null');
+            sessionStorage.removeItem(SEARCH_KEY);
+        } catch (e) { return null; }
+        return hit && hit.url === location.href ? hit.query : null;
+    }
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    // Wrap matches of pattern in <mark>; returns the first one
+    function markMatches(root, pattern) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        let first = null;
+        nodes.forEach(node => {
+            pattern.lastIndex = 0;
+            if (!pattern.test(node.data)) return;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            node.data.replace(pattern, (match, offset) => {
+                fragment.append(node.data.slice(last, offset));
+                const mark = document.createElement('mark');
+                mark.className = 'mera-search-hit';
+                mark.textContent = match;
+                fragment.append(mark);
+                first = first || mark;
+                last = offset + match.length;
+            });
+            fragment.append(node.data.slice(last));
+            node.replaceWith(fragment);
+        });
+        return first;
+    }
+
+    // Run change() without moving anchor on screen
+    function keepInPlace(anchor, change) {
+        const top = anchor.getBoundingClientRect().top;
+        change();
+        window.scrollBy(0, anchor.getBoundingClientRect().top - top);
+    }
+
     function initTabs() {
+        revealHash = () => {};
+        selectAll = () => {};
         const groups = Array.from(document.querySelectorAll('.mera-tabs'));
         if (!groups.length) return;
+        pageCodes = Array.from(new Set(groups.flatMap(group =>
+            Array.from(group.querySelectorAll(':scope > .mera-tab'), tab => tab.dataset.code))));
+        // Codes are matched as written in the page, so ?code=pluto works too
+        const known = code => code && pageCodes.find(c => sameCode(c, code));
+        linkedCode = known(new URLSearchParams(location.search).get(PARAM)) || linkedCode;
 
-        function selectGroup(group, code) {
+        function selectGroup(group, choices) {
             const tabs = Array.from(group.querySelectorAll(':scope > .mera-tab'));
-            const target = tabs.find(t => t.dataset.code === code) || tabs[0];
+            const target = choices.map(code => tabs.find(t => sameCode(t.dataset.code, code))).find(Boolean) || tabs[0];
             if (!target) return;
-            tabs.forEach(t => t.classList.toggle('mera-tab-active', t === target));
-            group.querySelectorAll(':scope > .mera-tab-bar > .mera-tab-btn').forEach(b =>
-                b.classList.toggle('mera-tab-btn-active', b.dataset.code === target.dataset.code));
+            const stacked = showAll();
+            group.classList.toggle('mera-tabs-all', stacked);
+            tabs.forEach(t => {
+                t.classList.toggle('mera-tab-active', t === target);
+                // Browsers without until-found treat it as plain hidden
+                t.hidden = stacked || t === target ? false : 'until-found';
+                // Stacked, the panels are plain sections again
+                if (stacked) {
+                    t.removeAttribute('role');
+                    t.removeAttribute('aria-labelledby');
+                    t.removeAttribute('tabindex');
+                } else {
+                    t.setAttribute('role', 'tabpanel');
+                    t.setAttribute('aria-labelledby', t.dataset.tabId);
+                    t.tabIndex = 0;
+                }
+            });
+            group.querySelectorAll(':scope > .mera-tab-bar .mera-tab-btn').forEach(b => {
+                const selected = b.dataset.code === target.dataset.code;
+                b.classList.toggle('mera-tab-btn-active', selected);
+                b.setAttribute('aria-selected', String(selected));
+                b.tabIndex = selected ? 0 : -1;
+            });
+            const link = group.querySelector(':scope > .mera-tab-bar > .mera-tab-link');
+            if (link) {
+                link.dataset.code = target.dataset.code;
+                link.title = `Copy a link to this page with ${target.dataset.code} selected`;
+                link.setAttribute('aria-label', link.title);
+            }
         }
-        function selectAll(code, save) {
-            groups.forEach(g => selectGroup(g, code));
-            if (save) { try { localStorage.setItem(KEY, code); } catch (e) { /* private mode */ } }
+        // `code` (if any) goes before the saved order; saved, it leads it
+        selectAll = (code, save) => {
+            if (save) {
+                dropLinkedCode();
+                if (code !== order()[0]) {
+                    prefs.set('order', [code].concat(order().filter(c => !sameCode(c, code))));
+                    window.meraNotice.show(`Switched all examples to ${code}`, { icon: '🔀', key: 'tabs' });
+                    changed();
+                }
+            }
+            const choices = code ? [code].concat(preferred()) : preferred();
+            groups.forEach(g => selectGroup(g, choices));
+            if (!showAll()) keepInURL(choices.map(known).find(Boolean));
+        };
+
+        // Groups above may grow or shrink; keep the chosen tab where it was
+        function choose(btn) {
+            keepInPlace(btn, () => selectAll(btn.dataset.code, true));
+        }
+        function onKey(event) {
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+            const buttons = Array.from(event.currentTarget.querySelectorAll('.mera-tab-btn'));
+            const index = buttons.indexOf(event.target);
+            if (index < 0) return;
+            let next;
+            switch (event.key) {
+                case 'ArrowRight': next = buttons[(index + 1) % buttons.length]; break;
+                case 'ArrowLeft': next = buttons[(index - 1 + buttons.length) % buttons.length]; break;
+                case 'Home': next = buttons[0]; break;
+                case 'End': next = buttons[buttons.length - 1]; break;
+                default: return;
+            }
+            event.preventDefault();
+            next.focus();
+            choose(next);
         }
 
-        groups.forEach(group => {
+        groups.forEach((group, g) => {
             const tabs = Array.from(group.querySelectorAll(':scope > .mera-tab'));
             if (!tabs.length) return;
             group.classList.add('mera-tabs-js');
             const bar = document.createElement('div');
             bar.className = 'mera-tab-bar';
-            tabs.forEach(tab => {
+            const list = document.createElement('div');
+            list.className = 'mera-tab-list';
+            list.setAttribute('role', 'tablist');
+            list.setAttribute('aria-label', 'Simulation code');
+            list.addEventListener('keydown', onKey);
+            tabs.forEach((tab, t) => {
                 const btn = document.createElement('button');
                 btn.type = 'button';
                 btn.className = 'mera-tab-btn';
+                btn.id = `mera-tabs-${g}-tab-${t}`;
                 btn.textContent = tab.dataset.code;
                 btn.dataset.code = tab.dataset.code;
-                btn.addEventListener('click', () => selectAll(tab.dataset.code, true));
-                bar.appendChild(btn);
+                btn.setAttribute('role', 'tab');
+                if (!tab.id) tab.id = `mera-tabs-${g}-panel-${t}`;
+                btn.setAttribute('aria-controls', tab.id);
+                tab.dataset.tabId = btn.id;
+                tab.addEventListener('beforematch', () => selectAll(tab.dataset.code, false));
+                btn.addEventListener('click', () => choose(btn));
+                list.appendChild(btn);
             });
+            bar.appendChild(list);
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'mera-tab-link';
+            link.textContent = '🔗';
+            link.addEventListener('click', () => copyLink(link.dataset.code));
+            bar.appendChild(link);
             group.insertBefore(bar, group.firstChild);
         });
 
-        let saved = null;
-        try { saved = localStorage.getItem(KEY); } catch (e) { /* private mode */ }
-        selectAll(saved, false);
+        selectAll(null, false);
 
-        function revealHash() {
-            if (!location.hash) return;
+        // The heading a search result points to and the tab panels of its
+        // section (up to the next heading of the same or a higher level)
+        function sectionPanels(el) {
+            const panels = Array.from(document.querySelectorAll('.mera-tabs-js > .mera-tab'));
+            if (!el) return panels;
+            const level = /^H[1-6]$/.test(el.tagName) ? Number(el.tagName[1]) : 6;
+            const end = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).find(h =>
+                el.compareDocumentPosition(h) & Node.DOCUMENT_POSITION_FOLLOWING && Number(h.tagName[1]) <= level);
+            return panels.filter(panel =>
+                (el.compareDocumentPosition(panel) & Node.DOCUMENT_POSITION_FOLLOWING || el.closest('.mera-tab') === panel) &&
+                !(end && end.compareDocumentPosition(panel) & Node.DOCUMENT_POSITION_FOLLOWING));
+        }
+        // Prefer the selected code when it has the words too
+        function revealSearchHit(el) {
+            const query = takeSearchHit();
+            if (!query) return;
+            const words = query.split(/\s+/).filter(word => word.length > 1).map(escapeRegExp);
+            if (!words.length) return;
+            const pattern = new RegExp(words.join('|'), 'gi');
+            const hits = sectionPanels(el).filter(panel => {
+                pattern.lastIndex = 0;
+                return pattern.test(panel.textContent);
+            });
+            const panel = hits.find(p => p.classList.contains('mera-tab-active')) || hits[0];
+            if (!panel) return;
+            selectAll(panel.dataset.code, false);
+            const mark = markMatches(panel, pattern);
+            if (mark && !el) mark.scrollIntoView({ block: 'center' });
+        }
+
+        revealHash = () => {
             let el = null;
-            try { el = document.querySelector(decodeURIComponent(location.hash)); } catch (e) { return; }
-            if (!el) return;
-            const tab = el.closest('.mera-tab');
+            if (location.hash) {
+                try { el = document.querySelector(decodeURIComponent(location.hash)); } catch (e) { /* not an id */ }
+            }
+            const tab = el && el.closest('.mera-tab');
             if (tab && !tab.classList.contains('mera-tab-active')) {
                 selectAll(tab.dataset.code, false);
                 el.scrollIntoView();
             }
-        }
-        window.addEventListener('hashchange', revealHash);
+            revealSearchHit(el);
+        };
         revealHash();
     }
+
+    // Show the groups again after the preferences changed. The first group
+    // reaching into the viewport is the anchor: what lies above it in view
+    // does not change.
+    function reapply() {
+        const anchor = Array.from(document.querySelectorAll('.mera-tabs-js'))
+            .find(group => group.getBoundingClientRect().bottom > 0);
+        if (anchor) keepInPlace(anchor, () => selectAll(null, false));
+        else selectAll(null, false);
+        changed();
+    }
+
+    window.meraTabs = {
+        linkFor,
+        order: () => order().slice(),
+        showAll,
+        inURL: () => prefs.get('inURL', false),
+        codes: () => pageCodes.slice(),
+        select: (code) => selectAll(code, true),
+        setOrder(codes) {
+            dropLinkedCode();
+            prefs.set('order', codes.filter((code, i) => code && codes.findIndex(c => sameCode(c, code)) === i));
+            reapply();
+        },
+        setShowAll(on) {
+            prefs.set('showAll', !!on);
+            reapply();
+        },
+        setKeepInURL(on) {
+            prefs.set('inURL', !!on);
+            changed();
+            if (!on) return;
+            const active = document.querySelector('.mera-tabs-js > .mera-tab-active');
+            if (active) keepInURL(active.dataset.code);
+        }
+    };
+    // Chosen in another window
+    prefs.subscribe('order', () => {
+        linkedCode = null;
+        reapply();
+    });
+    prefs.subscribe('showAll', reapply);
+    prefs.subscribe('inURL', changed);
+    const start = () => window.meraPerf.measure('tabs', initTabs);
+    window.addEventListener('hashchange', () => revealHash());
+    document.addEventListener('mera-page-load', start);
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initTabs);
+        document.addEventListener('DOMContentLoaded', start);
     } else {
-        initTabs();
+        start();
     }
 })();
 
+// Offline reading: the service worker (mera_sw.js) sits at the docs root so
+// its scope covers every page; mera_offline.js adds the navbar panel
+(function() {
+    const script = document.currentScript;
+    if (!script || !script.src || !window.meraOffline) return;
+    const root = new URL('../', script.src).href;
+    window.meraOffline.register(new URL('mera_sw.js', root).href, root);
+})();
+
 // GoatCounter Analytics (invisible, privacy-focused)
 // Only visible to site owner for documentation usage statistics
 (function() {
@@ -0,0 +1,196 @@
+// MERA.jl documentation - simulation code picker
+// A navbar button, next to the offline one, opening a panel to set the
+// code-switcher's preference (custom.js) for the whole site:
+//
+//   - which codes to show, in order: "PLUTO, else RAMSES" shows PLUTO where an
+//     example has it, RAMSES where it has RAMSES but no PLUTO, and the first
+//     tab otherwise
+//   - or every code stacked, as without JavaScript
+//   - whether the address bar carries the selected code (?code=), so the
+//     page's URL always shares what is on screen
+//
+// The list holds the codes with tabs anywhere in the docs (mera_codes.json,
+// collected from the built pages by make.jl) and any other code on the
+// current page, each once whatever its case. Changes go through
+// window.meraTabs; the panel follows tab clicks and other windows through the
+// mera-tabs-change event.
+
+(function() {
+    'use strict';
+
+    if (window.meraCodePicker || !window.meraTabs) return;
+
+    // Written next to this script by make.jl
+    const CODES_URL = document.currentScript ? new URL('mera_codes.json', document.currentScript.src).href : null;
+
+    // One entry per code, as first met: "GADGET" and "Gadget" are one code
+    function unique(codes) {
+        const seen = new Set();
+        return codes.filter(code => {
+            const key = code.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    class MeraCodePicker {
+        constructor(tabs) {
+            this.tabs = tabs;
+            this.button = null;
+            this.panel = null;
+            this.siteCodes = [];
+        }
+
+        // The codes of the whole site, most examples first; without the list
+        // (file://, an older build) the panel offers the page's codes
+        loadSiteCodes() {
+            if (!CODES_URL) return;
+            fetch(CODES_URL)
+                .then(response => response.ok ? response.json() : [])
+                .then(codes => {
+                    this.siteCodes = Array.isArray(codes) ? codes.filter(code => typeof code === 'string') : [];
+                    this.render();
+                })
+                .catch(() => { /* page codes only */ });
+        }
+
+        // Chosen codes first, in order, then the rest
+        codes() {
+            return unique(this.tabs.order().concat(this.siteCodes, this.tabs.codes()));
+        }
+
+        summary() {
+            if (this.tabs.showAll()) return 'All codes are shown, one after the other.';
+            const order = this.tabs.order();
+            if (!order.length) return 'Each example opens on its first code.';
+            return `Examples open on ${order.join(', else ')}, else on their first code.`;
+        }
+
+        mount() {
+            const right = document.querySelector('.docs-navbar .docs-right');
+            if (!right || this.button) return;
+            this.button = document.createElement('button');
+            this.button.type = 'button';
+            this.button.id = 'mera-code-button';
+            this.button.className = 'docs-navbar-link mera-code-button';
+            this.button.setAttribute('aria-expanded', 'false');
+            this.button.setAttribute('aria-controls', 'mera-code-panel');
+            right.insertBefore(this.button, document.getElementById('mera-offline-button') ||
+                document.getElementById('documenter-settings-button'));
+
+            this.panel = document.createElement('div');
+            this.panel.id = 'mera-code-panel';
+            this.panel.className = 'mera-code-panel';
+            this.panel.setAttribute('role', 'group');
+            this.panel.setAttribute('aria-labelledby', 'mera-code-title');
+            this.panel.hidden = true;
+            this.panel.innerHTML = `
+                <div id="mera-code-title" class="mera-code-title">Simulation code</div>
+                <p class="mera-code-summary" aria-live="polite"></p>
+                <ol class="mera-code-list"></ol>
+                <label class="mera-code-all"><input type="checkbox" data-action="all"> Show all codes stacked</label>
+                <label class="mera-code-url"><input type="checkbox" data-action="url"> Keep the code in the address bar</label>
+            `;
+            document.body.appendChild(this.panel);
+
+            this.button.addEventListener('click', () => this.setOpen(this.panel.hidden));
+            this.panel.addEventListener('click', (event) => {
+                const move = event.target.closest('[data-move]');
+                if (move) this.move(move.dataset.code, Number(move.dataset.move));
+            });
+            this.panel.addEventListener('change', (event) => {
+                const input = event.target;
+                if (input.dataset.action === 'all') this.tabs.setShowAll(input.checked);
+                else if (input.dataset.action === 'url') this.tabs.setKeepInURL(input.checked);
+                else if (input.dataset.code) this.toggle(input.dataset.code, input.checked);
+            });
+            this.panel.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.setOpen(false);
+                    this.button.focus();
+                }
+            });
+            document.addEventListener('click', (event) => {
+                if (!this.panel.hidden && !this.panel.contains(event.target) && !this.button.contains(event.target)) {
+                    this.setOpen(false);
+                }
+            });
+            document.addEventListener('mera-tabs-change', () => this.render());
+            document.addEventListener('mera-page-load', () => this.render());
+            this.render();
+            this.loadSiteCodes();
+        }
+
+        setOpen(open) {
+            this.panel.hidden = !open;
+            this.button.setAttribute('aria-expanded', String(open));
+            if (open) {
+                this.render();
+                this.panel.querySelector('input').focus();
+            }
+        }
+
+        // The list is rebuilt on every change; keep focus on the same control
+        render() {
+            const order = this.tabs.order();
+            const current = order[0] || 'Code';
+            this.button.innerHTML = `<span class="fa-solid fa-code" aria-hidden="true"></span> <span class="mera-code-current">${escapeHTML(current)}</span>`;
+            this.button.title = `Simulation code: ${this.summary()}`;
+            this.button.setAttribute('aria-label', `Simulation code, ${current}`);
+            if (this.panel.hidden) return;
+
+            const focused = this.panel.contains(document.activeElement) ? document.activeElement.dataset : {};
+            const stacked = this.tabs.showAll();
+            this.panel.querySelector('.mera-code-summary').textContent = this.summary();
+            this.panel.querySelector('[data-action="all"]').checked = stacked;
+            this.panel.querySelector('[data-action="url"]').checked = this.tabs.inURL();
+            const list = this.panel.querySelector('.mera-code-list');
+            list.innerHTML = this.codes().map(code => {
+                const rank = order.indexOf(code);
+                const name = escapeHTML(code);
+                const moves = rank < 0 ? '' : `
+                    <button type="button" class="mera-code-move" data-code="${name}" data-move="-1"
+                            aria-label="Prefer ${name} over the code above" ${rank === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="mera-code-move" data-code="${name}" data-move="1"
+                            aria-label="Prefer the code below over ${name}" ${rank === order.length - 1 ? 'disabled' : ''}>↓</button>`;
+                return `<li><label><input type="checkbox" data-code="${name}" ${rank < 0 ? '' : 'checked'} ${stacked ? 'disabled' : ''}>
+                    ${name}</label>${stacked ? '' : moves}</li>`;
+            }).join('');
+            if (focused.code) {
+                const code = CSS.escape(focused.code);
+                const again = this.panel.querySelector(`[data-code="${code}"][data-move="${focused.move}"]:not(:disabled)`) ||
+                              this.panel.querySelector(`input[data-code="${code}"]`);
+                again.focus();
+            }
+        }
+
+        // Checked codes join the end of the order
+        toggle(code, on) {
+            const order = this.tabs.order().filter(c => c !== code);
+            this.tabs.setOrder(on ? order.concat(code) : order);
+        }
+
+        move(code, step) {
+            const order = this.tabs.order();
+            const from = order.indexOf(code);
+            const to = from + step;
+            if (from < 0 || to < 0 || to >= order.length) return;
+            order.splice(from, 1);
+            order.splice(to, 0, code);
+            this.tabs.setOrder(order);
+        }
+    }
+
+    window.MeraCodePicker = MeraCodePicker;
+    window.meraCodePicker = new MeraCodePicker(window.meraTabs);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => window.meraCodePicker.mount());
+    } else {
+        window.meraCodePicker.mount();
+    }
+})();
@@ -0,0 +1,314 @@
+// MERA.jl documentation - in-page (PJAX) navigation
+// Every Documenter link is a full page load, which stops the music. This
+// module can follow same-origin links by fetching the next page and swapping
+// the parts that change (article, sidebar menu, breadcrumb, footer, title),
+// so the page, and the audio in it, keeps running.
+//
+// Modes, kept in the state store (mera_store.js):
+//
+//   'auto'   - only while music plays in this tab (default)
+//   'always' - every docs link
+//   'off'    - normal page loads
+//
+//   meraNavigation.setMode('always')
+//
+// Anything unusual falls back to a normal page load: modifier clicks, other
+// windows, downloads, other origins, failed fetches and pages without the
+// Documenter layout.
+//
+// Pages at another depth (index -> a section, one section -> another with
+// pretty URLs) swap like the rest: relative links left on the page are pinned
+// to where they pointed, and documenterBaseURL, which Documenter's search and
+// our scripts resolve against, is set to the new page's value.
+//
+// After a swap, 'mera-page-load' is dispatched on document with
+// { url, article } so page scripts (custom.js tabs, music widgets) can set
+// up the new content. KaTeX, highlighting, copy buttons and the docstring
+// collapse buttons are redone here.
+
+(function() {
+    'use strict';
+
+    if (window.meraNavigation) return;
+
+    const MODES = ['auto', 'always', 'off'];
+    const FETCH_TIMEOUT_MS = 8000;
+    // Documenter's default KaTeX delimiters (HTMLWriter)
+    const KATEX_OPTIONS = {
+        delimiters: [
+            { left: '$', right: '$', display: false },
+            { left: '$$', right: '$$', display: true },
+            { left: '\\[', right: '\\]', display: true }
+        ]
+    };
+
+    const prefs = window.meraStore.namespace('navigation');
+
+    // Path and query without the hash: the identity of a page
+    function pageKey(url) {
+        const parsed = new URL(url, window.location.href);
+        return parsed.origin + parsed.pathname + parsed.search;
+    }
+
+    function baseURLOf(doc) {
+        for (const script of doc.querySelectorAll('script:not([src])')) {
+            const match = script.textContent.match(/documenterBaseURL\s*=\s*"([^"]*)"/);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    // The links left outside the swapped parts (logo, package name, navbar)
+    // are relative to the page they came with; once the URL changes they
+    // would point elsewhere
+    function pinLinks(pageURL) {
+        document.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(href)) return;
+            link.setAttribute('href', new URL(href, pageURL).href);
+        });
+    }
+
+    function isPageLink(link, event) {
+        if (event.defaultPrevented || event.button !== 0) return false;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+        if (link.target && link.target !== '_self') return false;
+        if (link.hasAttribute('download') || link.closest('.mera-no-pjax')) return false;
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin || !/^https?:$/.test(url.protocol)) return false;
+        // Jumps within the page are the browser's job
+        if (pageKey(url) === pageKey(window.location.href)) return false;
+        // Documenter pages are directories (pretty URLs) or .html files
+        return /(\/|\.html)$/.test(url.pathname) && !/\/assets\//.test(url.pathname);
+    }
+
+    // Scripts inserted with innerHTML do not run; re-create them
+    function runScripts(root) {
+        root.querySelectorAll('script').forEach(old => {
+            const script = document.createElement('script');
+            Array.from(old.attributes).forEach(attr => script.setAttribute(attr.name, attr.value));
+            script.textContent = old.textContent;
+            old.replaceWith(script);
+        });
+    }
+
+    // Documenter loads KaTeX and highlight.js through RequireJS, on the
+    // first page only
+    function renderMath(root) {
+        if (typeof window.requirejs !== 'function') return;
+        window.requirejs(['katex-auto-render'], (renderMathInElement) => {
+            renderMathInElement(root, KATEX_OPTIONS);
+        }, () => { /* page without math */ });
+    }
+
+    function highlight(root) {
+        if (typeof window.requirejs !== 'function') return;
+        window.requirejs(['highlight'], (hljs) => {
+            root.querySelectorAll('pre code').forEach(block => {
+                if (!block.classList.contains('hljs')) hljs.highlightElement(block);
+            });
+        }, () => { /* highlighting not configured */ });
+    }
+
+    // Documenter binds the docstring collapse buttons once, on load
+    function bindDocstrings(root) {
+        if (typeof window.requirejs !== 'function') return;
+        window.requirejs(['jquery'], ($) => {
+            $(root).find('.docstring > header .docstring-article-toggle-button').on('click', function() {
+                const header = $(this).closest('header');
+                const section = header.siblings('section');
+                const expand = !section.is(':visible');
+                header.find('a.docstring-article-toggle-button')
+                    .toggleClass('fa-chevron-down', expand)
+                    .toggleClass('fa-chevron-right', !expand);
+                header.children('.docstring-article-toggle-button')
+                    .prop('title', expand ? 'Collapse docstring' : 'Expand docstring');
+                section.slideToggle();
+            });
+        }, () => { /* no jQuery, no toggles */ });
+    }
+
+    // Same markup and behaviour as Documenter's copy buttons
+    function addCopyButtons(root) {
+        root.querySelectorAll('pre').forEach(pre => {
+            if (pre.querySelector(':scope > .copy-button')) return;
+            const button = document.createElement('button');
+            button.classList.add('copy-button', 'fa-solid', 'fa-copy');
+            button.setAttribute('aria-label', 'Copy this code block');
+            button.setAttribute('title', 'Copy');
+            pre.appendChild(button);
+            button.addEventListener('click', () => {
+                const done = (ok) => {
+                    button.classList.remove('fa-copy');
+                    button.classList.add(ok ? 'success' : 'error', ok ? 'fa-check' : 'fa-xmark');
+                    setTimeout(() => {
+                        button.classList.add('fa-copy');
+                        button.classList.remove('success', 'error', 'fa-check', 'fa-xmark');
+                    }, 5000);
+                };
+                navigator.clipboard.writeText(pre.innerText).then(() => done(true), () => done(false));
+            });
+        });
+    }
+
+    class MeraNavigation {
+        constructor() {
+            this.baseURL = baseURLOf(document);
+            this.controller = null;
+            this.pageURL = window.location.href;
+            this.currentKey = pageKey(window.location.href);
+        }
+
+        get mode() {
+            const mode = prefs.get('mode', 'auto');
+            return MODES.includes(mode) ? mode : 'auto';
+        }
+
+        setMode(mode) {
+            if (!MODES.includes(mode)) {
+                throw new Error(`Unknown navigation mode "${mode}"; known: ${MODES.join(', ')}`);
+            }
+            prefs.set('mode', mode);
+        }
+
+        get enabled() {
+            if (this.mode === 'off' || !window.fetch || !window.DOMParser) return false;
+            if (this.mode === 'always') return true;
+            const player = window.meraMusic;
+            if (!player) return false;
+            const state = player.getState();
+            return state.mode === 'local' && state.isPlaying;
+        }
+
+        start() {
+            document.addEventListener('click', (event) => {
+                const link = event.target.closest && event.target.closest('a[href]');
+                if (!link || !this.enabled || !isPageLink(link, event)) return;
+                event.preventDefault();
+                this.navigate(link.href, { push: true });
+            });
+            window.addEventListener('popstate', (event) => {
+                const key = pageKey(window.location.href);
+                if (key === this.currentKey) return; // hash change on this page
+                if (event.state && event.state.meraPage) {
+                    this.navigate(window.location.href, { push: false, scroll: event.state.scroll });
+                } else {
+                    window.location.reload();
+                }
+            });
+        }
+
+        // Load `url` into this page; any problem turns into a normal load
+        async navigate(url, { push = true, scroll = null } = {}) {
+            if (this.controller) this.controller.abort();
+            const controller = this.controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+            document.documentElement.classList.add('mera-navigating');
+
+            try {
+                const response = await fetch(url, { signal: controller.signal, credentials: 'same-origin' });
+                const type = response.headers.get('Content-Type') || '';
+                if (!response.ok || !type.includes('text/html')) throw new Error(`HTTP ${response.status} ${type}`);
+                const html = await response.text();
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                if (!doc.getElementById('documenter-page')) throw new Error('not a Documenter page');
+                if (controller !== this.controller) return;
+
+                pinLinks(this.pageURL);
+                if (push) {
+                    // Remember where the reader was, for the back button
+                    history.replaceState(Object.assign({}, history.state, { meraPage: true, scroll: window.scrollY }), '');
+                    // response.url follows redirects but drops the #anchor,
+                    // which restoreScroll() scrolls to
+                    const target = new URL(response.url || url);
+                    target.hash = new URL(url).hash;
+                    history.pushState({ meraPage: true, scroll: 0 }, '', target.href);
+                    history.scrollRestoration = 'manual';
+                }
+                this.pageURL = window.location.href;
+                this.currentKey = pageKey(window.location.href);
+                this.setBaseURL(baseURLOf(doc));
+                window.meraPerf.measure('navigation', () => this.swap(doc));
+                this.restoreScroll(scroll);
+                console.log(`🧭 In-page navigation: ${window.location.pathname}`);
+            } catch (error) {
+                if (controller !== this.controller) return; // superseded
+                console.log(`🧭 Falling back to a page load (${error.message})`);
+                if (push) window.location.assign(url);
+                else window.location.reload();
+            } finally {
+                clearTimeout(timer);
+                if (controller === this.controller) {
+                    this.controller = null;
+                    document.documentElement.classList.remove('mera-navigating');
+                }
+            }
+        }
+
+        // Documenter sets documenterBaseURL as a plain global, once per page
+        setBaseURL(baseURL) {
+            if (baseURL === null || baseURL === this.baseURL) return;
+            this.baseURL = baseURL;
+            window.documenterBaseURL = baseURL;
+        }
+
+        swap(doc) {
+            document.title = doc.title;
+            const canonical = doc.querySelector('link[rel="canonical"]');
+            const currentCanonical = document.querySelector('link[rel="canonical"]');
+            if (canonical && currentCanonical) currentCanonical.href = canonical.href;
+
+            // The menu and breadcrumb change; Documenter's buttons around them
+            // keep their handlers
+            [
+                '.docs-sidebar .docs-menu',
+                '.docs-navbar .breadcrumb',
+                '#documenter-page',
+                '.docs-footer'
+            ].forEach(selector => {
+                const current = document.querySelector(selector);
+                const next = doc.querySelector(selector);
+                if (current && next) current.replaceWith(document.adoptNode(next));
+            });
+
+            const sidebar = document.querySelector('.docs-sidebar');
+            if (sidebar) {
+                sidebar.classList.remove('visible'); // mobile menu
+                const active = sidebar.querySelector('.docs-menu .is-active');
+                if (active) active.scrollIntoView({ block: 'nearest' });
+            }
+
+            const article = document.getElementById('documenter-page');
+            runScripts(article);
+            renderMath(article);
+            highlight(article);
+            addCopyButtons(article);
+            bindDocstrings(article);
+
+            // Tell assistive technology the page changed
+            const heading = article.querySelector('h1');
+            if (heading) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus({ preventScroll: true });
+            }
+
+            document.dispatchEvent(new CustomEvent('mera-page-load', {
+                detail: { url: window.location.href, article }
+            }));
+        }
+
+        restoreScroll(scroll) {
+            if (scroll !== null && scroll !== undefined) {
+                window.scrollTo(0, scroll);
+                return;
+            }
+            const target = window.location.hash ? document.getElementById(decodeURIComponent(window.location.hash.slice(1))) : null;
+            if (target) target.scrollIntoView();
+            else window.scrollTo(0, 0);
+        }
+    }
+
+    window.MeraNavigation = MeraNavigation;
+    window.meraNavigation = new MeraNavigation();
+    window.meraNavigation.start();
+})();
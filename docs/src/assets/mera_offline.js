@@ -0,0 +1,289 @@
+// MERA.jl documentation - offline reading
+// Page side of the service worker in mera_sw.js (at the docs root). custom.js
+// registers the worker; this module then adds a button to Documenter's
+// navbar that opens a small panel to
+//
+//   - see what this browser keeps (pages, other files, music tracks, bytes)
+//   - save the current sidebar section, with its figures, for offline reading
+//   - keep chosen music tracks offline
+//   - clear everything again
+//
+// Pages the reader visits are kept anyway. Saved sections are remembered in
+// the state store (mera_store.js) and downloaded again after a new docs build
+// has replaced the caches.
+//
+//   meraOffline.saveSection()       the sidebar section of this page
+//   meraOffline.status()            -> { build, pages, files, music }
+
+(function() {
+    'use strict';
+
+    if (window.meraOffline) return;
+
+    const REQUEST_TIMEOUT_MS = 5000;
+
+    const prefs = window.meraStore.namespace('offline');
+
+    // Path and query of a link, without the hash
+    function pageURL(href) {
+        const url = new URL(href, window.location.href);
+        url.hash = '';
+        return url.href;
+    }
+
+    // The top-level sidebar entry holding the current page, as a title and
+    // the pages under it
+    function currentSection() {
+        const active = document.querySelector('.docs-menu li.is-active');
+        const top = active ? active.closest('.docs-menu > li') : null;
+        if (!top) return { title: document.title, pages: [pageURL(window.location.href)] };
+        const label = top.querySelector(':scope > label .docs-label, :scope > a.tocitem');
+        const pages = Array.from(top.querySelectorAll('a.tocitem[href]'))
+            .filter(link => !link.getAttribute('href').startsWith('#'))
+            .map(link => pageURL(link.href));
+        pages.push(pageURL(window.location.href));
+        return { title: label ? label.textContent.trim() : document.title, pages: Array.from(new Set(pages)) };
+    }
+
+    class MeraOffline {
+        constructor() {
+            this.registration = null;
+            this.root = null;
+            this.button = null;
+            this.panel = null;
+            this.busy = false;
+        }
+
+        get supported() {
+            return 'serviceWorker' in navigator && window.isSecureContext && /^https?:$/.test(window.location.protocol);
+        }
+
+        // Called by custom.js with the worker's URL and the docs root
+        register(workerURL, root) {
+            if (!this.supported) return Promise.resolve(null);
+            this.root = root;
+            return navigator.serviceWorker.register(workerURL, { scope: root })
+                .then(registration => {
+                    this.registration = registration;
+                    console.log('📴 Offline reading available');
+                    if (document.readyState === 'loading') {
+                        document.addEventListener('DOMContentLoaded', () => this.mount());
+                    } else {
+                        this.mount();
+                    }
+                    this.refreshSaved();
+                    return registration;
+                })
+                .catch(error => {
+                    console.warn('📴 Offline reading unavailable:', error.message);
+                    return null;
+                });
+        }
+
+        // One request to the worker, answered on a MessageChannel
+        request(type, urls = [], { timeout = REQUEST_TIMEOUT_MS } = {}) {
+            return navigator.serviceWorker.ready.then(registration => new Promise((resolve, reject) => {
+                const channel = new MessageChannel();
+                const timer = timeout ? setTimeout(() => reject(new Error('The service worker did not answer')), timeout) : null;
+                channel.port1.onmessage = (event) => {
+                    clearTimeout(timer);
+                    if (event.data.error) reject(new Error(event.data.error));
+                    else resolve(event.data.result);
+                };
+                registration.active.postMessage({ type, urls }, [channel.port2]);
+            }));
+        }
+
+        status() {
+            return this.request('status');
+        }
+
+        // Downloads take as long as the connection needs: no timeout
+        async saveSection(section = currentSection()) {
+            const assets = Array.from(document.querySelectorAll('script[src], link[rel="stylesheet"][href]'))
+                .map(element => element.src || element.href);
+            assets.push(new URL('search_index.js', this.root).href);
+            const result = await this.request('savePages', section.pages.concat(assets), { timeout: 0 });
+            const saved = new Set(prefs.get('pages', []));
+            section.pages.forEach(page => saved.add(page));
+            prefs.set('pages', Array.from(saved));
+            return result;
+        }
+
+        setTrackOffline(url, keep) {
+            return this.request(keep ? 'saveMusic' : 'removeMusic', [url], { timeout: keep ? 0 : REQUEST_TIMEOUT_MS });
+        }
+
+        async clear() {
+            const result = await this.request('clear');
+            prefs.update({ pages: [], build: null });
+            return result;
+        }
+
+        // A new build drops the old caches; fetch the saved sections again
+        async refreshSaved() {
+            try {
+                const { build } = await this.status();
+                const pages = prefs.get('pages', []);
+                if (build === prefs.get('build', null)) return;
+                prefs.set('build', build);
+                if (pages.length && navigator.onLine) {
+                    const { failed } = await this.request('savePages', pages, { timeout: 0 });
+                    console.log(`📴 Saved pages refreshed for build ${build} (${failed.length} failed)`);
+                }
+            } catch (error) {
+                console.log('📴 Could not refresh saved pages:', error.message);
+            }
+        }
+
+        // Navbar button, next to Documenter's settings
+        mount() {
+            const right = document.querySelector('.docs-navbar .docs-right');
+            if (!right || this.button) return;
+            this.button = document.createElement('button');
+            this.button.type = 'button';
+            this.button.id = 'mera-offline-button';
+            this.button.className = 'docs-navbar-link mera-offline-button fa-solid fa-cloud-arrow-down';
+            this.button.title = 'Offline reading';
+            this.button.setAttribute('aria-label', 'Offline reading');
+            this.button.setAttribute('aria-expanded', 'false');
+            this.button.setAttribute('aria-controls', 'mera-offline-panel');
+            right.insertBefore(this.button, document.getElementById('documenter-settings-button'));
+
+            this.panel = document.createElement('div');
+            this.panel.id = 'mera-offline-panel';
+            this.panel.className = 'mera-offline-panel';
+            this.panel.setAttribute('role', 'group');
+            this.panel.setAttribute('aria-labelledby', 'mera-offline-title');
+            this.panel.hidden = true;
+            this.panel.innerHTML = `
+                <div id="mera-offline-title" class="mera-offline-title">Offline reading</div>
+                <p class="mera-offline-status" aria-live="polite">Checking…</p>
+                <button type="button" class="mera-offline-action" data-action="section">Save this section</button>
+                <div class="mera-offline-title">Music to keep offline</div>
+                <ul class="mera-offline-tracks"></ul>
+                <button type="button" class="mera-offline-action" data-action="clear">Clear offline copies</button>
+            `;
+            document.body.appendChild(this.panel);
+
+            this.button.addEventListener('click', () => this.setOpen(this.panel.hidden));
+            this.panel.addEventListener('click', (event) => {
+                const action = event.target.closest('[data-action]');
+                if (action) this.runAction(action.dataset.action);
+            });
+            this.panel.addEventListener('change', (event) => {
+                if (event.target.dataset.track) this.toggleTrack(event.target);
+            });
+            this.panel.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.setOpen(false);
+                    this.button.focus();
+                }
+            });
+            document.addEventListener('click', (event) => {
+                if (!this.panel.hidden && !this.panel.contains(event.target) && !this.button.contains(event.target)) {
+                    this.setOpen(false);
+                }
+            });
+        }
+
+        setOpen(open) {
+            this.panel.hidden = !open;
+            this.button.setAttribute('aria-expanded', String(open));
+            if (open) {
+                this.render();
+                this.panel.querySelector('[data-action="section"]').focus();
+            }
+        }
+
+        async render() {
+            const section = currentSection();
+            const sectionButton = this.panel.querySelector('[data-action="section"]');
+            sectionButton.textContent = `Save “${section.title}” (${section.pages.length} page${section.pages.length === 1 ? '' : 's'})`;
+            sectionButton.disabled = this.busy;
+            const statusText = this.panel.querySelector('.mera-offline-status');
+            try {
+                const [status, tracks] = await Promise.all([this.status(), this.loadTracks()]);
+                let text = `${status.pages.length} page${status.pages.length === 1 ? '' : 's'}, ${status.files} other files and ${status.music.length} track${status.music.length === 1 ? '' : 's'} kept in this browser`;
+                if (navigator.storage && navigator.storage.estimate) {
+                    const { usage } = await navigator.storage.estimate();
+                    if (usage) text += ` (${(usage / 1048576).toFixed(1)} MB)`;
+                }
+                statusText.textContent = text + '.';
+                this.renderTracks(tracks, new Set(status.music));
+            } catch (error) {
+                statusText.textContent = `Offline copies unavailable: ${error.message}`;
+            }
+        }
+
+        loadTracks() {
+            if (!this.tracks) {
+                this.tracks = fetch(new URL('assets/music/tracks.json', this.root))
+                    .then(response => response.ok ? response.json() : { tracks: [] })
+                    .then(manifest => (manifest.tracks || []).map(track => ({
+                        name: track.name || track.file,
+                        // The encoding this browser would play (music_sources.js)
+                        url: new URL(`assets/music/${window.MeraSources.pick(track)}`, this.root).href
+                    })))
+                    .catch(() => []);
+            }
+            return this.tracks;
+        }
+
+        renderTracks(tracks, kept) {
+            const list = this.panel.querySelector('.mera-offline-tracks');
+            list.replaceChildren(...tracks.map(track => {
+                const item = document.createElement('li');
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.track = track.url;
+                checkbox.checked = kept.has(track.url);
+                label.append(checkbox, ` ${track.name}`);
+                item.appendChild(label);
+                return item;
+            }));
+        }
+
+        async runAction(action) {
+            if (this.busy) return;
+            this.busy = true;
+            try {
+                if (action === 'section') {
+                    const section = currentSection();
+                    this.panel.querySelector('.mera-offline-status').textContent = `Saving “${section.title}”…`;
+                    const { failed } = await this.saveSection(section);
+                    window.meraNotice.show(failed.length
+                        ? `Saved “${section.title}” for offline reading; ${failed.length} file${failed.length === 1 ? '' : 's'} could not be downloaded`
+                        : `Saved “${section.title}” for offline reading`,
+                    { type: failed.length ? 'warning' : 'success', icon: '📴', key: 'offline' });
+                } else if (action === 'clear') {
+                    await this.clear();
+                    window.meraNotice.show('Offline copies cleared', { icon: '📴', key: 'offline' });
+                }
+            } catch (error) {
+                window.meraNotice.show(`Offline reading: ${error.message}`, { type: 'error', icon: '📴', key: 'offline' });
+            } finally {
+                this.busy = false;
+                if (!this.panel.hidden) this.render();
+            }
+        }
+
+        async toggleTrack(checkbox) {
+            checkbox.disabled = true;
+            try {
+                const result = await this.setTrackOffline(checkbox.dataset.track, checkbox.checked);
+                if (result.failed && result.failed.length) throw new Error('the track could not be downloaded');
+            } catch (error) {
+                checkbox.checked = !checkbox.checked;
+                window.meraNotice.show(`Offline music: ${error.message}`, { type: 'error', icon: '📴', key: 'offline' });
+            } finally {
+                checkbox.disabled = false;
+                if (!this.panel.hidden) this.render();
+            }
+        }
+    }
+
+    window.MeraOffline = MeraOffline;
+    window.meraOffline = new MeraOffline();
+})();
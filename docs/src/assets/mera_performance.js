@@ -0,0 +1,74 @@
+// MERA.jl documentation - performance budget
+// The docs scripts run on every page, including the ~600 KiB API page, so
+// their main-thread time is measured against a budget:
+//
+//   SCRIPT_BUDGET_MS     - any one measured step (player start-up, a view
+//                          mounting, the tabs, an in-page swap) must stay
+//                          under one long task (50 ms)
+//   LONG_TASK_BUDGET_MS  - blocking time of all long tasks on the page (the
+//                          part of each beyond 50 ms) in the first
+//                          REPORT_AFTER_MS, Documenter's own work included
+//
+// Steps are wrapped with meraPerf.measure(name, fn) and show up as
+// "mera:<name>" entries in the browser's Performance panel. A warning is
+// logged once REPORT_AFTER_MS after load if a budget is exceeded;
+// meraPerf.report() returns the numbers at any time.
+
+(function() {
+    'use strict';
+
+    if (window.meraPerf) return;
+
+    const SCRIPT_BUDGET_MS = 50;
+    const LONG_TASK_BUDGET_MS = 300;
+    const LONG_TASK_MS = 50;
+    const REPORT_AFTER_MS = 10000;
+
+    const steps = [];
+    const longTasks = [];
+
+    if ('PerformanceObserver' in window &&
+        (PerformanceObserver.supportedEntryTypes || []).includes('longtask')) {
+        new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+                if (entry.startTime <= REPORT_AFTER_MS) longTasks.push(entry.duration);
+            });
+        }).observe({ type: 'longtask', buffered: true });
+    }
+
+    // Runs fn and records how long it took; returns fn's result
+    function measure(name, fn) {
+        const start = performance.now();
+        try {
+            return fn();
+        } finally {
+            const duration = performance.now() - start;
+            steps.push({ name, duration });
+            try {
+                performance.measure(`mera:${name}`, { start, duration });
+            } catch (e) { /* older browsers: the numbers are still in report() */ }
+        }
+    }
+
+    function report() {
+        const blocking = longTasks.reduce((sum, duration) => sum + Math.max(0, duration - LONG_TASK_MS), 0);
+        return {
+            steps: steps.map(step => ({ name: step.name, ms: Math.round(step.duration * 10) / 10 })),
+            overBudget: steps.filter(step => step.duration > SCRIPT_BUDGET_MS).map(step => step.name),
+            longTasks: { count: longTasks.length, blockingMs: Math.round(blocking) },
+            budget: { scriptMs: SCRIPT_BUDGET_MS, blockingMs: LONG_TASK_BUDGET_MS },
+            withinBudget: steps.every(step => step.duration <= SCRIPT_BUDGET_MS) && blocking <= LONG_TASK_BUDGET_MS
+        };
+    }
+
+    window.addEventListener('load', () => {
+        setTimeout(() => {
+            const result = report();
+            if (!result.withinBudget) {
+                console.warn('⏱️ Docs scripts over their performance budget:', result);
+            }
+        }, REPORT_AFTER_MS);
+    }, { once: true });
+
+    window.meraPerf = { measure, report, SCRIPT_BUDGET_MS, LONG_TASK_BUDGET_MS };
+})();
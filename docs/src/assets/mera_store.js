@@ -0,0 +1,219 @@
+// MERA.jl documentation - persistent state store
+// One localStorage entry ("mera-state") holds the small preferences and the
+// player's resume point, split into namespaces:
+//
+//   const player = window.meraStore.namespace('player');
+//   player.get('volume', 0.15);
+//   player.update({ track: 'vega.mp3', time: 12.5 });
+//
+// Writes are collected and written once DEBOUNCE_MS later (and when the page
+// is hidden, frozen or left), so a value may be set as often as it changes. Each
+// write merges only the changed values into what is stored, so tabs writing
+// different values do not undo each other. Where storage is unavailable
+// (private mode, disabled, quota full) the store keeps working in memory for
+// the life of the page.
+//
+// The entry carries a schema version; MIGRATIONS bring older data (and the
+// separate keys used before the store existed) up to date on first load.
+//
+// subscribe() hears about values other windows store, e.g. to follow a
+// choice made there:
+//
+//   const tabs = window.meraStore.namespace('tabs');
+//   tabs.subscribe('order', (order, previous) => apply(order));
+//
+// Only the tab-sync lease (music_sync.js) keeps a key of its own: it must be
+// written at once, and read back, by tabs racing for it.
+
+(function() {
+    'use strict';
+
+    if (window.meraStore) return;
+
+    const STORAGE_KEY = 'mera-state';
+    const VERSION = 1;
+    const DEBOUNCE_MS = 400;
+
+    // MIGRATIONS[n] turns version n data into version n + 1. `legacy` reads
+    // (and forgets) a key from before the store.
+    const MIGRATIONS = [
+        // 0 -> 1: separate mera-* keys
+        (data, legacy) => {
+            const player = {};
+            const wasPlaying = legacy('mera-was-playing');
+            const track = legacy('mera-current-track');
+            const time = parseFloat(legacy('mera-audio-time'));
+            if (wasPlaying !== null) player.wasPlaying = wasPlaying === 'true';
+            if (track) player.track = track;
+            if (isFinite(time)) player.time = time;
+            // One remembered simulation code starts the ordered preference
+            const code = legacy('mera-simcode');
+            data.player = Object.assign(player, data.player);
+            data.tabs = Object.assign(code ? { order: [code] } : {}, data.tabs);
+            return data;
+        }
+    ];
+
+    // localStorage if it works, otherwise a Map with the same methods
+    function openBackend() {
+        try {
+            const probe = '__mera-store-probe__';
+            window.localStorage.setItem(probe, probe);
+            window.localStorage.removeItem(probe);
+            return { storage: window.localStorage, persistent: true };
+        } catch (e) {
+            return { storage: memoryStorage(), persistent: false };
+        }
+    }
+
+    function memoryStorage() {
+        const values = new Map();
+        return {
+            getItem: key => values.has(key) ? values.get(key) : null,
+            setItem: (key, value) => values.set(key, String(value)),
+            removeItem: key => values.delete(key)
+        };
+    }
+
+    class MeraStore {
+        constructor() {
+            const backend = openBackend();
+            this.storage = backend.storage;
+            this.persistent = backend.persistent;
+            this.dirty = new Map(); // 'namespace\u0000key' -> [namespace, key, value]
+            this.timer = null;
+            this.listeners = new Set(); // { namespace, key, handler }
+            this.upgraded = false;
+            this.data = this.read();
+            if (this.upgraded) this.save(this.data);
+
+            if (!this.persistent) {
+                console.warn('💾 Storage unavailable, preferences last for this page only');
+            }
+
+            // Another tab wrote: take its values, keep ours that are unwritten
+            window.addEventListener('storage', (event) => {
+                if (event.key !== STORAGE_KEY && event.key !== null) return;
+                const before = Array.from(this.listeners, ({ namespace, key }) => this.get(namespace, key));
+                this.data = this.read();
+                this.dirty.forEach(([namespace, key, value]) => this.assign(namespace, key, value));
+                Array.from(this.listeners).forEach(({ namespace, key, handler }, i) => {
+                    const value = this.get(namespace, key);
+                    if (JSON.stringify(value) === JSON.stringify(before[i])) return;
+                    try {
+                        handler(value, before[i]);
+                    } catch (e) {
+                        console.error(`💾 Listener for ${namespace}.${key} failed:`, e);
+                    }
+                });
+            });
+            window.addEventListener('pagehide', () => this.flush());
+            document.addEventListener('freeze', () => this.flush());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+
+        namespace(name) {
+            return {
+                get: (key, fallback) => this.get(name, key, fallback),
+                set: (key, value) => this.set(name, key, value),
+                update: (values) => Object.keys(values).forEach(key => this.set(name, key, values[key])),
+                remove: (key) => this.set(name, key, undefined),
+                subscribe: (key, handler) => this.subscribe(name, key, handler)
+            };
+        }
+
+        // Call handler(value, previous) when another window changes the
+        // value; returns a function that stops listening
+        subscribe(namespace, key, handler) {
+            const listener = { namespace, key, handler };
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        get(namespace, key, fallback) {
+            const values = this.data[namespace];
+            return values && values[key] !== undefined ? values[key] : fallback;
+        }
+
+        // `undefined` removes the value
+        set(namespace, key, value) {
+            if (this.get(namespace, key) === value) return;
+            this.assign(namespace, key, value);
+            this.dirty.set(`${namespace}\u0000${key}`, [namespace, key, value]);
+            if (!this.timer) this.timer = setTimeout(() => this.flush(), DEBOUNCE_MS);
+        }
+
+        assign(namespace, key, value) {
+            const values = this.data[namespace] = this.data[namespace] || {};
+            if (value === undefined) delete values[key];
+            else values[key] = value;
+        }
+
+        // Write pending values now, on top of what other tabs stored meanwhile
+        flush() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.dirty.size) return;
+            const data = this.read();
+            this.dirty.forEach(([namespace, key, value]) => {
+                const values = data[namespace] = data[namespace] || {};
+                if (value === undefined) delete values[key];
+                else values[key] = value;
+            });
+            this.dirty.clear();
+            this.data = data;
+            this.save(data);
+        }
+
+        // The stored data at the current version
+        read() {
+            let entry = null;
+            try {
+                entry = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+            } catch (e) { /* corrupt entry: start over */ }
+            let version = entry && Number.isInteger(entry.version) ? entry.version : 0;
+            let data = entry && entry.data && typeof entry.data === 'object' ? entry.data : {};
+            if (version > VERSION) {
+                // Written by a newer version of the docs; do not guess its format
+                console.warn(`💾 Stored state has version ${version}, expected ${VERSION}; starting fresh`);
+                return {};
+            }
+            const legacy = (key) => {
+                try {
+                    const value = this.storage.getItem(key);
+                    this.storage.removeItem(key);
+                    return value;
+                } catch (e) {
+                    return null;
+                }
+            };
+            while (version < VERSION) {
+                data = MIGRATIONS[version](data, legacy);
+                version += 1;
+                this.upgraded = true;
+                console.log(`💾 Stored state migrated to version ${version}`);
+            }
+            return data;
+        }
+
+        save(data) {
+            try {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, data }));
+            } catch (e) {
+                // Quota or a storage that vanished: carry on in memory
+                if (this.persistent) {
+                    console.warn('💾 Could not save preferences, keeping them in memory:', e.name);
+                    this.storage = memoryStorage();
+                    this.persistent = false;
+                    this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, data }));
+                }
+            }
+        }
+    }
+
+    MeraStore.VERSION = VERSION;
+    window.MeraStore = MeraStore;
+    window.meraStore = new MeraStore();
+})();
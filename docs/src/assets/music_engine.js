@@ -0,0 +1,396 @@
+// MERA Study Music - playback engine
+// Two alternating <audio> decks routed through a Web Audio graph
+// (element -> track gain -> deck gain -> master gain -> speakers). The track
+// gain evens out loudness (setTrackGain), the deck gain carries the fades and
+// the master gain the volume, which ramps rather than jumps. Track changes
+// crossfade from one deck into the other, the next track is preloaded on the
+// idle deck, and pause/resume fade out and in. With lazyPreload (slow
+// connections) the next track is only fetched in the last
+// LAZY_PRELOAD_SECONDS of the current one, so skipping through tracks does
+// not download each one in full.
+//
+// Web Audio is only switched on once the AudioContext is actually running
+// (it needs a user gesture), and never under file://, where browsers silence
+// media element sources. Without it, fades animate the element volume instead.
+
+(function() {
+    'use strict';
+
+    const DEFAULT_CROSSFADE = 4;     // seconds
+    const PAUSE_FADE = 0.6;          // seconds, pause and resume
+    const STEP_MS = 50;              // volume animation step without Web Audio
+    const LAZY_PRELOAD_SECONDS = 30;
+    const VOLUME_RAMP = 0.15;        // seconds, volume changes
+
+    class MeraAudioEngine {
+        constructor({ volume = 0.15 } = {}) {
+            this.decks = [0, 1].map(() => {
+                const element = new Audio();
+                element.preload = 'auto';
+                element.loop = false;
+                return {
+                    element, gain: null, level: 1, trim: null, trimLevel: 1,
+                    fadeTimer: null, fadeDone: null, ramp: null, ending: false, pausing: false
+                };
+            });
+            this.activeIndex = 0;
+            this.decks[1].level = 0;
+            this.volume = volume;
+            this.outputVolume = volume; // where a ramp without Web Audio stands
+            this.volumeTimer = null;
+            this.trackGains = new Map(); // src -> linear gain
+            this.crossfade = DEFAULT_CROSSFADE;
+            this.fading = false;
+            this.generation = 0; // bumped by every crossfade; a stale one backs off
+            this.context = null;
+            this.master = null;
+            this.analyser = null;
+            this.useWebAudio = window.location.protocol !== 'file:' &&
+                               !!(window.AudioContext || window.webkitAudioContext);
+            // Called when the active track is about to end; the player answers
+            // by calling crossfadeTo() with the next track
+            this.onTrackEnding = null;
+            this.lazyPreload = false;
+            this.pendingPreload = null;
+
+            // The reader's crossfade length is shared with every window
+            const saved = parseFloat(window.meraStore.namespace('player').get('crossfade'));
+            if (isFinite(saved)) this.crossfade = Math.max(0, saved);
+
+            this.decks.forEach(deck => {
+                deck.element.addEventListener('timeupdate', () => this.checkEnding(deck));
+                deck.element.addEventListener('ended', () => this.startNext(deck));
+                // Every new src, whoever set it
+                deck.element.addEventListener('loadstart', () => this.applyTrackGain(deck));
+            });
+            this.applyVolume(this.decks[0]);
+            this.applyVolume(this.decks[1]);
+        }
+
+        get active() {
+            return this.decks[this.activeIndex].element;
+        }
+
+        get idle() {
+            return this.decks[1 - this.activeIndex].element;
+        }
+
+        // Listen to the active deck only, whichever element that is right now
+        addEventListener(type, handler) {
+            this.decks.forEach(deck => {
+                deck.element.addEventListener(type, (event) => {
+                    if (deck.element === this.active) handler(event);
+                });
+            });
+        }
+
+        setCrossfade(seconds) {
+            this.crossfade = Math.max(0, Number(seconds) || 0);
+            window.meraStore.namespace('player').set('crossfade', this.crossfade);
+        }
+
+        setVolume(volume) {
+            this.volume = volume;
+            if (this.master) {
+                const gain = this.master.gain;
+                const now = this.context.currentTime;
+                gain.cancelScheduledValues(now);
+                gain.setValueAtTime(gain.value, now);
+                gain.linearRampToValueAtTime(volume, now + VOLUME_RAMP);
+                return;
+            }
+            clearInterval(this.volumeTimer);
+            const start = this.outputVolume;
+            const steps = Math.max(1, Math.round(VOLUME_RAMP * 1000 / STEP_MS));
+            let step = 0;
+            this.volumeTimer = setInterval(() => {
+                step++;
+                this.outputVolume = start + (volume - start) * (step / steps);
+                this.decks.forEach(deck => this.applyVolume(deck));
+                if (step >= steps) {
+                    clearInterval(this.volumeTimer);
+                    this.volumeTimer = null;
+                }
+            }, STEP_MS);
+        }
+
+        // Loudness correction for one track URL, in dB, applied whenever a
+        // deck loads it (ReplayGain / LUFS from the manifest)
+        setTrackGain(src, db) {
+            const linear = Math.pow(10, (Number(db) || 0) / 20);
+            if (linear === 1) this.trackGains.delete(src);
+            else this.trackGains.set(src, linear);
+            this.decks.forEach(deck => {
+                if (deck.element.src === src) this.applyTrackGain(deck);
+            });
+        }
+
+        applyTrackGain(deck) {
+            deck.trimLevel = this.trackGains.get(deck.element.src) || 1;
+            if (deck.trim) {
+                deck.trim.gain.setTargetAtTime(deck.trimLevel, this.context.currentTime, 0.05);
+            } else {
+                this.applyVolume(deck);
+            }
+        }
+
+        // Route both decks through the graph. Must run inside a user gesture
+        // the first time; until the context runs, element volumes are used.
+        async unlock() {
+            if (this.master || !this.useWebAudio) return;
+            // Browsers silence media element sources from file: URLs, even
+            // on an http(s) page
+            if (this.decks.some(deck => deck.element.src.startsWith('file:'))) return;
+            const Context = window.AudioContext || window.webkitAudioContext;
+            if (!this.context) this.context = new Context();
+            if (this.context.state !== 'running') {
+                try { await this.context.resume(); } catch (e) { /* no gesture yet */ }
+            }
+            if (this.context.state !== 'running' || this.master) return;
+
+            clearInterval(this.volumeTimer);
+            this.outputVolume = this.volume;
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+            this.decks.forEach(deck => {
+                const source = this.context.createMediaElementSource(deck.element);
+                deck.trim = this.context.createGain();
+                deck.trim.gain.value = deck.trimLevel;
+                deck.gain = this.context.createGain();
+                deck.gain.gain.value = deck.level;
+                source.connect(deck.trim).connect(deck.gain).connect(this.master);
+                deck.element.volume = 1;
+            });
+            console.log('🎵 Web Audio graph ready (crossfade ' + this.crossfade + 's)');
+        }
+
+        // AnalyserNode fed by both decks before the master volume, so a
+        // visualizer shows the music the same at any volume. null until the
+        // graph exists (first user gesture; never under file://).
+        getAnalyser() {
+            if (!this.master) return null;
+            if (!this.analyser) {
+                this.analyser = this.context.createAnalyser();
+                this.decks.forEach(deck => deck.gain.connect(this.analyser));
+            }
+            return this.analyser;
+        }
+
+        // Load a track into the idle deck so the next transition starts at once
+        preload(src) {
+            if (this.lazyPreload) {
+                this.pendingPreload = src;
+                return;
+            }
+            this.pendingPreload = null;
+            this.loadIdle(src);
+        }
+
+        loadIdle(src) {
+            const idle = this.idle;
+            if (idle.src === src || this.fading) return;
+            idle.src = src;
+            idle.load();
+        }
+
+        // Start a track: crossfade when something is playing, otherwise load it
+        // into the active deck and fade in
+        async playTrack(src) {
+            this.pendingPreload = null;
+            if (!this.active.paused && this.active.src) {
+                return this.crossfadeTo(src);
+            }
+            const deck = this.decks[this.activeIndex];
+            deck.ending = false;
+            if (this.active.src !== src) {
+                this.active.src = src;
+            }
+            this.active.currentTime = 0;
+            return this.resume();
+        }
+
+        // A skip during a crossfade starts another one. The older crossfade's
+        // fades are cut short then; it must not pause a deck or clear
+        // `fading`, as both belong to the newer one now.
+        async crossfadeTo(src, duration = this.crossfade) {
+            const generation = ++this.generation;
+            const from = this.decks[this.activeIndex];
+            const to = this.decks[1 - this.activeIndex];
+
+            if (to.element.src !== src) {
+                to.element.src = src;
+            }
+            await this.unlock();
+            if (generation !== this.generation) return;
+            to.element.currentTime = 0;
+            to.ending = false;
+            this.setLevel(to, 0);
+            // Switch first so 'play' on the new deck reaches the listeners and
+            // the old deck's 'pause' / 'ended' no longer do
+            this.activeIndex = 1 - this.activeIndex;
+            this.fading = true;
+
+            try {
+                await to.element.play();
+            } catch (error) {
+                if (generation === this.generation) {
+                    this.activeIndex = 1 - this.activeIndex;
+                    this.fading = false;
+                }
+                throw error;
+            }
+            if (generation !== this.generation) return;
+
+            await Promise.all([this.fade(from, 0, duration), this.fade(to, 1, duration)]);
+            if (generation !== this.generation) return;
+            if (from !== this.decks[this.activeIndex]) from.element.pause();
+            this.fading = false;
+        }
+
+        async resume() {
+            await this.unlock();
+            const deck = this.decks[this.activeIndex];
+            deck.pausing = false;
+            this.setLevel(deck, 0);
+            await deck.element.play();
+            this.fade(deck, 1, PAUSE_FADE);
+        }
+
+        // A longer fade suits a session or sleep timer running out
+        async pause(fadeSeconds = PAUSE_FADE) {
+            const deck = this.decks[this.activeIndex];
+            if (deck.element.paused) return;
+            deck.pausing = true;
+            await this.fade(deck, 0, fadeSeconds);
+            // A resume during the fade wins
+            if (deck.pausing) {
+                deck.pausing = false;
+                deck.element.pause();
+            }
+        }
+
+        // Hard stop of both decks, e.g. before the popup takes over
+        stop() {
+            this.generation++;
+            this.decks.forEach(deck => {
+                this.cancelFade(deck);
+                deck.element.pause();
+            });
+            this.setLevel(this.decks[this.activeIndex], 1);
+            this.fading = false;
+        }
+
+        checkEnding(deck) {
+            const element = deck.element;
+            if (deck.ending || element !== this.active || element.paused) return;
+            const remaining = element.duration - element.currentTime;
+            if (this.pendingPreload && isFinite(remaining) && remaining <= LAZY_PRELOAD_SECONDS) {
+                this.loadIdle(this.pendingPreload);
+                this.pendingPreload = null;
+            }
+            // timeupdate fires about every 250 ms, so look that far ahead
+            if (isFinite(remaining) && remaining <= Math.max(this.crossfade, 0.3)) {
+                deck.ending = true;
+                if (this.crossfade > 0) {
+                    this.requestNext();
+                } else {
+                    // Gapless: start the preloaded track the moment this one ends
+                    setTimeout(() => this.requestNext(), Math.max(0, remaining * 1000 - 20));
+                }
+            }
+        }
+
+        // 'ended' without a prior timeupdate hand-off (unknown duration, or a
+        // throttled background tab)
+        startNext(deck) {
+            if (deck.element !== this.active || deck.ending) return;
+            deck.ending = true;
+            this.requestNext();
+        }
+
+        requestNext() {
+            if (this.onTrackEnding) this.onTrackEnding();
+        }
+
+        fade(deck, target, seconds) {
+            this.cancelFade(deck);
+            if (!seconds) {
+                this.setLevel(deck, target);
+                return Promise.resolve();
+            }
+            return new Promise(resolve => {
+                // Settled early by cancelFade() when another fade takes over
+                deck.fadeDone = resolve;
+                if (deck.gain) {
+                    // From where the gain stands now: a fade cut short left
+                    // it part of the way (see cancelFade)
+                    const now = this.context.currentTime;
+                    deck.gain.gain.cancelScheduledValues(now);
+                    deck.gain.gain.setValueAtTime(deck.level, now);
+                    deck.gain.gain.linearRampToValueAtTime(target, now + seconds);
+                    deck.ramp = { from: deck.level, to: target, start: now, end: now + seconds };
+                    deck.fadeTimer = setTimeout(() => {
+                        deck.ramp = null;
+                        deck.level = target;
+                        this.cancelFade(deck);
+                    }, seconds * 1000);
+                    return;
+                }
+                const start = deck.level;
+                const steps = Math.max(1, Math.round(seconds * 1000 / STEP_MS));
+                let step = 0;
+                deck.fadeTimer = setInterval(() => {
+                    step++;
+                    deck.level = start + (target - start) * (step / steps);
+                    this.applyVolume(deck);
+                    if (step >= steps) this.cancelFade(deck);
+                }, STEP_MS);
+            });
+        }
+
+        // A ramp stopped early holds the level it reached
+        cancelFade(deck) {
+            if (deck.ramp) {
+                const { from, to, start, end } = deck.ramp;
+                const now = this.context.currentTime;
+                deck.level = from + (to - from) * Math.min(1, Math.max(0, (now - start) / (end - start)));
+                deck.ramp = null;
+                deck.gain.gain.cancelScheduledValues(now);
+                deck.gain.gain.setValueAtTime(deck.level, now);
+            }
+            if (deck.fadeTimer) {
+                clearTimeout(deck.fadeTimer);
+                clearInterval(deck.fadeTimer);
+                deck.fadeTimer = null;
+            }
+            if (deck.fadeDone) {
+                const done = deck.fadeDone;
+                deck.fadeDone = null;
+                done();
+            }
+        }
+
+        setLevel(deck, level) {
+            this.cancelFade(deck);
+            deck.level = level;
+            if (deck.gain) {
+                const now = this.context.currentTime;
+                deck.gain.gain.cancelScheduledValues(now);
+                deck.gain.gain.setValueAtTime(level, now);
+            } else {
+                this.applyVolume(deck);
+            }
+        }
+
+        // Without Web Audio a track can be made quieter but not louder than
+        // the element allows
+        applyVolume(deck) {
+            if (!deck.gain) {
+                deck.element.volume = Math.min(1, Math.max(0, this.outputVolume * deck.level * deck.trimLevel));
+            }
+        }
+    }
+
+    window.MeraAudioEngine = MeraAudioEngine;
+})();
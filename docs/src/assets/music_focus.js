@@ -0,0 +1,219 @@
+// MERA Study Music - focus sessions
+// Pomodoro-style work/break rounds and a sleep timer. Everything lives in the
+// state store (mera_store.js, namespace "focus") as absolute end times, so a
+// countdown carries on across page navigation, in every docs tab and in the
+// popup.
+//
+// Any page may advance an expired phase; each transition bumps `seq`, and
+// every page that sees a new `seq` reports the event once. Only the page that
+// is playing the music acts on it (the player decides that), e.g.
+//
+//   work   - a work phase began (the first one, or after a break)
+//   break  - a break began
+//   end    - the last round is over
+//   sleep  - the sleep timer ran out
+//   stop   - the reader stopped the session
+
+(function() {
+    'use strict';
+
+    const TICK_MS = 1000;
+    const DEFAULT_SETTINGS = {
+        work: 25,                 // minutes
+        break: 5,                 // minutes
+        cycles: 4,                // work rounds per session, 0 = until stopped
+        pauseDuringBreaks: true
+    };
+    const LIMITS = { work: [1, 180], break: [1, 60], cycles: [0, 12] };
+
+    function clamp(value, [min, max], fallback) {
+        const number = Math.round(Number(value));
+        return isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    }
+
+    function emptyState() {
+        return {
+            phase: 'off',         // 'off' | 'work' | 'break'
+            phaseEnds: 0,         // ms timestamp
+            cycle: 0,             // current work round, from 1
+            sleepEnds: 0,         // ms timestamp, 0 = no sleep timer
+            pausedByBreak: false, // resume the music when the break is over
+            seq: 0,
+            lastEvent: null
+        };
+    }
+
+    class MeraFocusSession {
+        // callbacks:
+        //   onEvent(event, session) - a transition (see above) happened
+        //   onTick(session)         - once a second while anything counts down
+        constructor({ onEvent = () => {}, onTick = () => {} } = {}) {
+            this.onEvent = onEvent;
+            this.onTick = onTick;
+            this.settings = Object.assign({}, DEFAULT_SETTINGS);
+            this.state = emptyState();
+            this.timer = null;
+            this.stored = window.meraStore.namespace('focus');
+            this.load();
+            // Events from before this page loaded were handled by another page
+            this.seenSeq = this.state.seq;
+
+            this.stored.subscribe('state', () => this.refresh());
+            this.stored.subscribe('settings', () => this.refresh());
+            this.refresh();
+        }
+
+        get active() {
+            return this.state.phase !== 'off';
+        }
+
+        // Milliseconds left in the current phase / on the sleep timer
+        remaining() {
+            return this.active ? Math.max(0, this.state.phaseEnds - Date.now()) : 0;
+        }
+
+        sleepRemaining() {
+            return this.state.sleepEnds ? Math.max(0, this.state.sleepEnds - Date.now()) : 0;
+        }
+
+        start() {
+            this.load();
+            this.state.phase = 'work';
+            this.state.cycle = 1;
+            this.state.phaseEnds = Date.now() + this.settings.work * 60000;
+            this.state.pausedByBreak = false;
+            this.transition('work');
+        }
+
+        stop() {
+            this.load();
+            if (!this.active) return;
+            const sleepEnds = this.state.sleepEnds;
+            const seq = this.state.seq;
+            this.state = emptyState();
+            this.state.sleepEnds = sleepEnds;
+            this.state.seq = seq;
+            this.transition('stop');
+        }
+
+        // End the current phase now
+        skip() {
+            this.load();
+            if (!this.active) return;
+            this.state.phaseEnds = Date.now();
+            this.advance();
+        }
+
+        // minutes 0 switches the sleep timer off
+        setSleepTimer(minutes) {
+            this.load();
+            const value = Math.max(0, Number(minutes) || 0);
+            this.state.sleepEnds = value ? Date.now() + value * 60000 : 0;
+            this.save();
+            this.refresh();
+        }
+
+        setSettings(changes) {
+            this.load();
+            const next = Object.assign({}, this.settings, changes);
+            this.settings = {
+                work: clamp(next.work, LIMITS.work, DEFAULT_SETTINGS.work),
+                break: clamp(next.break, LIMITS.break, DEFAULT_SETTINGS.break),
+                cycles: clamp(next.cycles, LIMITS.cycles, DEFAULT_SETTINGS.cycles),
+                pauseDuringBreaks: !!next.pauseDuringBreaks
+            };
+            this.save();
+        }
+
+        // The player paused the music for a break; resume it when work starts
+        setPausedByBreak(paused) {
+            this.load();
+            this.state.pausedByBreak = !!paused;
+            this.save();
+        }
+
+        // Advance expired phases (a laptop may have slept through several)
+        // and report the last transition
+        advance() {
+            const now = Date.now();
+            let event = null;
+            while (this.active && this.state.phaseEnds <= now) {
+                if (this.state.phase === 'work') {
+                    if (this.settings.cycles && this.state.cycle >= this.settings.cycles) {
+                        const sleepEnds = this.state.sleepEnds;
+                        const seq = this.state.seq;
+                        this.state = emptyState();
+                        Object.assign(this.state, { sleepEnds, seq });
+                        event = 'end';
+                    } else {
+                        this.state.phase = 'break';
+                        this.state.phaseEnds += this.settings.break * 60000;
+                        event = 'break';
+                    }
+                } else {
+                    this.state.phase = 'work';
+                    this.state.cycle += 1;
+                    this.state.phaseEnds += this.settings.work * 60000;
+                    event = 'work';
+                }
+            }
+            if (this.state.sleepEnds && this.state.sleepEnds <= now) {
+                this.state.sleepEnds = 0;
+                event = 'sleep';
+            }
+            if (event) this.transition(event);
+        }
+
+        transition(event) {
+            this.state.seq += 1;
+            this.state.lastEvent = event;
+            this.save();
+            this.refresh();
+        }
+
+        // Re-read the shared state, report an unseen transition, and tick only
+        // while something is counting down
+        refresh() {
+            this.load();
+            if (this.state.seq > this.seenSeq) {
+                this.seenSeq = this.state.seq;
+                this.onEvent(this.state.lastEvent, this);
+            }
+            const counting = this.active || !!this.state.sleepEnds;
+            if (counting && !this.timer) {
+                this.timer = setInterval(() => this.tick(), TICK_MS);
+            } else if (!counting && this.timer) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+            this.onTick(this);
+        }
+
+        tick() {
+            this.load();
+            this.advance();
+            this.refresh();
+        }
+
+        load() {
+            this.settings = Object.assign({}, DEFAULT_SETTINGS, this.stored.get('settings'));
+            this.state = Object.assign(emptyState(), this.stored.get('state'));
+        }
+
+        // Written at once, not debounced: other pages act on a transition
+        // only once they see it
+        save() {
+            this.stored.update({ settings: Object.assign({}, this.settings), state: Object.assign({}, this.state) });
+            window.meraStore.flush();
+        }
+
+        // 1500000 -> "25:00"
+        static format(ms) {
+            const seconds = Math.ceil(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+    }
+
+    MeraFocusSession.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+    window.MeraFocusSession = MeraFocusSession;
+})();
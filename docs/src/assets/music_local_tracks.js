@@ -0,0 +1,258 @@
+// MERA Study Music - imported tracks
+// Readers can add their own audio files in the popup. The files stay in this
+// browser, in IndexedDB; nothing is uploaded. An imported track joins the
+// library and the queue under the file name "local:<id>", next to the
+// bundled assets/music/*.mp3, and plays through an object URL.
+//
+// Metadata and audio live in separate object stores, so listing the library
+// never reads the audio itself. Every window that changes the collection
+// tells the others over a BroadcastChannel; they set `onChange` to reload.
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'mera-music';
+    const DB_VERSION = 1;
+    const META_STORE = 'tracks';
+    const BLOB_STORE = 'audio';
+    const PREFIX = 'local:';
+    const CHANNEL_NAME = 'mera-local-tracks';
+    const MAX_NAME_LENGTH = 120;
+    const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|webm)$/i;
+    const DURATION_TIMEOUT_MS = 5000;
+
+    // IDBRequest / IDBTransaction as promises
+    function done(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function completed(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function cleanName(name) {
+        return String(name).replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    }
+
+    // Length of an audio file, or null if the browser cannot tell quickly
+    function readDuration(file) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(file);
+            const audio = new Audio();
+            const finish = (duration) => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                audio.removeAttribute('src');
+                resolve(isFinite(duration) && duration > 0 ? Math.round(duration) : null);
+            };
+            const timer = setTimeout(() => finish(null), DURATION_TIMEOUT_MS);
+            audio.preload = 'metadata';
+            audio.addEventListener('loadedmetadata', () => finish(audio.duration));
+            audio.addEventListener('error', () => finish(null));
+            audio.src = url;
+        });
+    }
+
+    class MeraLocalTracks {
+        constructor() {
+            this.supported = 'indexedDB' in window;
+            this.dbReady = null;
+            this.urls = new Map(); // id -> object URL
+            this.onChange = null;
+            this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+            if (this.channel) {
+                this.channel.onmessage = () => {
+                    if (this.onChange) this.onChange();
+                };
+            }
+        }
+
+        static isLocal(file) {
+            return typeof file === 'string' && file.startsWith(PREFIX);
+        }
+
+        static idOf(file) {
+            return file.slice(PREFIX.length);
+        }
+
+        // Library entry in the same shape as a manifest track
+        static toTrack(meta) {
+            return {
+                file: PREFIX + meta.id,
+                name: meta.name,
+                duration: meta.duration,
+                credit: 'Imported track',
+                license: '',
+                object: '',
+                tags: ['imported'],
+                local: true,
+                size: meta.size,
+                added: meta.added
+            };
+        }
+
+        open() {
+            if (!this.supported) return Promise.reject(new Error('IndexedDB is not available'));
+            if (!this.dbReady) {
+                this.dbReady = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(DB_NAME, DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+                        if (!db.objectStoreNames.contains(BLOB_STORE)) db.createObjectStore(BLOB_STORE);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                    request.onblocked = () => reject(new Error('IndexedDB is blocked by another window'));
+                });
+                // A failed open (private mode in some browsers) may work later
+                this.dbReady.catch(() => { this.dbReady = null; });
+            }
+            return this.dbReady;
+        }
+
+        // Library entries, oldest import first; [] where IndexedDB is missing
+        async list() {
+            if (!this.supported) return [];
+            try {
+                const db = await this.open();
+                const metas = await done(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+                return metas.sort((a, b) => a.added - b.added).map(MeraLocalTracks.toTrack);
+            } catch (e) {
+                console.warn('🎵 Imported tracks unavailable:', e.message);
+                return [];
+            }
+        }
+
+        // Import files (a FileList or array). Returns { added, rejected } with
+        // a reason for each file that was not taken.
+        async add(files) {
+            const db = await this.open();
+            const added = [];
+            const rejected = [];
+            for (const file of Array.from(files)) {
+                if (!(file.type.startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name))) {
+                    rejected.push({ name: file.name, reason: 'not an audio file' });
+                    continue;
+                }
+                const probe = new Audio();
+                if (file.type && !probe.canPlayType(file.type)) {
+                    rejected.push({ name: file.name, reason: 'this browser cannot play it' });
+                    continue;
+                }
+                const meta = {
+                    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                    name: cleanName(file.name.replace(/\.[^.]+$/, '')) || 'Untitled',
+                    type: file.type,
+                    size: file.size,
+                    added: Date.now(),
+                    duration: await readDuration(file)
+                };
+                try {
+                    const transaction = db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+                    transaction.objectStore(META_STORE).put(meta);
+                    transaction.objectStore(BLOB_STORE).put(file, meta.id);
+                    await completed(transaction);
+                    added.push(MeraLocalTracks.toTrack(meta));
+                } catch (error) {
+                    rejected.push({
+                        name: file.name,
+                        reason: error && error.name === 'QuotaExceededError' ? 'browser storage is full' : 'could not be saved'
+                    });
+                }
+            }
+            if (added.length) {
+                // Ask the browser not to clear the files under storage pressure
+                if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+                this.changed();
+            }
+            return { added, rejected };
+        }
+
+        async rename(file, name) {
+            const clean = cleanName(name);
+            if (!clean) throw new Error('A track needs a name');
+            const db = await this.open();
+            const transaction = db.transaction(META_STORE, 'readwrite');
+            const store = transaction.objectStore(META_STORE);
+            const meta = await done(store.get(MeraLocalTracks.idOf(file)));
+            if (!meta) throw new Error('Track not found');
+            meta.name = clean;
+            store.put(meta);
+            await completed(transaction);
+            this.changed();
+        }
+
+        async remove(file) {
+            const id = MeraLocalTracks.idOf(file);
+            const db = await this.open();
+            const transaction = db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+            transaction.objectStore(META_STORE).delete(id);
+            transaction.objectStore(BLOB_STORE).delete(id);
+            await completed(transaction);
+            if (this.urls.has(id)) {
+                URL.revokeObjectURL(this.urls.get(id));
+                this.urls.delete(id);
+            }
+            this.changed();
+        }
+
+        // Object URL for a "local:" file, made once per window
+        async url(file) {
+            const id = MeraLocalTracks.idOf(file);
+            if (!this.urls.has(id)) {
+                const db = await this.open();
+                const blob = await done(db.transaction(BLOB_STORE).objectStore(BLOB_STORE).get(id));
+                if (!blob) {
+                    const error = new Error(`Imported track ${id} is gone`);
+                    error.name = 'NotSupportedError'; // reported like a missing file
+                    throw error;
+                }
+                this.urls.set(id, URL.createObjectURL(blob));
+            }
+            return this.urls.get(id);
+        }
+
+        // Bytes used by imported tracks, and the browser's figures for the
+        // whole site where it shares them
+        async usage() {
+            const tracks = await this.list();
+            const result = { count: tracks.length, bytes: tracks.reduce((sum, t) => sum + (t.size || 0), 0), quota: null, used: null };
+            if (navigator.storage && navigator.storage.estimate) {
+                try {
+                    const estimate = await navigator.storage.estimate();
+                    result.quota = estimate.quota || null;
+                    result.used = estimate.usage || null;
+                } catch (e) { /* not shared by this browser */ }
+            }
+            return result;
+        }
+
+        changed() {
+            if (this.channel) this.channel.postMessage('changed');
+            if (this.onChange) this.onChange();
+        }
+
+        // 1536000 -> "1.5 MB"
+        static formatBytes(bytes) {
+            if (bytes < 1024) return `${bytes} B`;
+            const units = ['KB', 'MB', 'GB', 'TB'];
+            let value = bytes;
+            let unit = -1;
+            do {
+                value /= 1024;
+                unit++;
+            } while (value >= 1024 && unit < units.length - 1);
+            return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+        }
+    }
+
+    window.MeraLocalTracks = MeraLocalTracks;
+})();
@@ -0,0 +1,258 @@
+// MERA Study Music - Media Session integration
+// Publishes the playing track to the operating system (lock screen, media
+// overlays, Bluetooth headsets) and routes hardware media keys back to the
+// player. Used by the player core (music_player.js), which runs in the docs
+// pages and in the popup.
+//
+// Artwork: a track may name an image in the manifest ("artwork", relative to
+// assets/music/); otherwise a picture of its celestial object ("object") is
+// drawn once on a canvas and reused for every track of that kind.
+
+(function() {
+    'use strict';
+
+    const ARTWORK_SIZE = 512;
+    const SEEK_STEP = 10; // seconds, when the OS does not say how far
+
+    // Manifest object names mapped to a drawing style and colour
+    const OBJECT_STYLES = [
+        { match: /black hole/,         draw: 'blackhole', color: '#ff9a3c' },
+        { match: /planetary nebula/,   draw: 'ring',      color: '#5fd3c6' },
+        { match: /supernova/,          draw: 'ring',      color: '#ff6f91' },
+        { match: /dark nebula/,        draw: 'nebula',    color: '#3a2f4f' },
+        { match: /nebula/,             draw: 'nebula',    color: '#e0559b' },
+        { match: /galaxy/,             draw: 'galaxy',    color: '#c7b8ff' },
+        { match: /constellation/,      draw: 'constellation', color: '#dfe8ff' },
+        { match: /moon/,               draw: 'planet',    color: '#b8b8b8' },
+        { match: /exoplanet|planet/,   draw: 'planet',    color: '#4f9dde' },
+        { match: /binary|system/,      draw: 'binary',    color: '#ffe3a3' },
+        { match: /red/,                draw: 'star',      color: '#ff6b4a' },
+        { match: /blue/,               draw: 'star',      color: '#8ab8ff' },
+        { match: /star|giant/,         draw: 'star',      color: '#ffd27f' }
+    ];
+
+    // Small deterministic generator so an object always gets the same sky
+    function seededRandom(text) {
+        let seed = 0;
+        for (let i = 0; i < text.length; i++) seed = (seed * 31 + text.charCodeAt(i)) >>> 0;
+        return () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+    }
+
+    function glow(ctx, x, y, radius, color, alpha = 1) {
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.2, color);
+        gradient.addColorStop(1, 'transparent');
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        ctx.globalAlpha = 1;
+    }
+
+    const painters = {
+        star(ctx, c, style) {
+            glow(ctx, c, c, c * 0.8, style.color);
+        },
+        binary(ctx, c, style) {
+            glow(ctx, c * 0.72, c * 0.9, c * 0.55, style.color);
+            glow(ctx, c * 1.32, c * 1.12, c * 0.4, '#ff8f6b');
+        },
+        nebula(ctx, c, style, random) {
+            for (let i = 0; i < 14; i++) {
+                const x = c + (random() - 0.5) * c;
+                const y = c + (random() - 0.5) * c;
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, c * (0.3 + random() * 0.5));
+                gradient.addColorStop(0, style.color);
+                gradient.addColorStop(1, 'transparent');
+                ctx.globalAlpha = 0.35;
+                ctx.fillStyle = gradient;
+                ctx.fillRect(0, 0, c * 2, c * 2);
+            }
+            ctx.globalAlpha = 1;
+        },
+        ring(ctx, c, style) {
+            ctx.lineWidth = c * 0.12;
+            ctx.strokeStyle = style.color;
+            ctx.shadowColor = style.color;
+            ctx.shadowBlur = c * 0.2;
+            ctx.beginPath();
+            ctx.arc(c, c, c * 0.5, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+            glow(ctx, c, c, c * 0.15, '#ffffff');
+        },
+        galaxy(ctx, c, style, random) {
+            for (let arm = 0; arm < 2; arm++) {
+                for (let i = 0; i < 400; i++) {
+                    const t = i / 400;
+                    const angle = arm * Math.PI + t * Math.PI * 3;
+                    const radius = t * c * 0.85;
+                    const x = c + Math.cos(angle) * radius + (random() - 0.5) * c * 0.12;
+                    const y = c + Math.sin(angle) * radius * 0.6 + (random() - 0.5) * c * 0.08;
+                    ctx.globalAlpha = 1 - t * 0.8;
+                    ctx.fillStyle = style.color;
+                    ctx.fillRect(x, y, 2, 2);
+                }
+            }
+            ctx.globalAlpha = 1;
+            glow(ctx, c, c, c * 0.3, '#fff1c9');
+        },
+        blackhole(ctx, c, style) {
+            ctx.save();
+            ctx.translate(c, c);
+            ctx.scale(1, 0.35);
+            ctx.lineWidth = c * 0.18;
+            ctx.strokeStyle = style.color;
+            ctx.shadowColor = style.color;
+            ctx.shadowBlur = c * 0.25;
+            ctx.beginPath();
+            ctx.arc(0, 0, c * 0.6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+            ctx.fillStyle = '#000000';
+            ctx.beginPath();
+            ctx.arc(c, c, c * 0.3, 0, Math.PI * 2);
+            ctx.fill();
+        },
+        planet(ctx, c, style) {
+            const gradient = ctx.createRadialGradient(c * 0.75, c * 0.75, c * 0.05, c, c, c * 0.6);
+            gradient.addColorStop(0, '#ffffff');
+            gradient.addColorStop(0.3, style.color);
+            gradient.addColorStop(1, '#05060a');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(c, c, c * 0.55, 0, Math.PI * 2);
+            ctx.fill();
+        },
+        constellation(ctx, c, style, random) {
+            const points = Array.from({ length: 7 }, () => [c * (0.3 + random() * 1.4), c * (0.3 + random() * 1.4)]);
+            ctx.strokeStyle = style.color;
+            ctx.globalAlpha = 0.5;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            points.forEach(([x, y]) => glow(ctx, x, y, c * 0.08, style.color));
+        }
+    };
+
+    class MeraMediaSession {
+        // options:
+        //   actions     - { play, pause, previoustrack, nexttrack, seekto(time), stop }
+        //   getPosition - () => ({ duration, position }) of the playing element
+        //   artworkBase - URL the manifest's "artwork" paths are relative to
+        constructor({ actions, getPosition, artworkBase }) {
+            this.supported = 'mediaSession' in navigator;
+            this.actions = actions;
+            this.getPosition = getPosition;
+            this.artworkBase = artworkBase;
+            this.artworkCache = new Map();
+            this.trackKey = null;
+            if (this.supported) this.registerHandlers();
+        }
+
+        registerHandlers() {
+            const handlers = {
+                play: () => this.actions.play(),
+                pause: () => this.actions.pause(),
+                previoustrack: () => this.actions.previoustrack(),
+                nexttrack: () => this.actions.nexttrack(),
+                stop: () => this.actions.stop(),
+                seekto: (details) => this.actions.seekto(details.seekTime),
+                seekbackward: (details) => this.seekBy(-(details.seekOffset || SEEK_STEP)),
+                seekforward: (details) => this.seekBy(details.seekOffset || SEEK_STEP)
+            };
+            Object.keys(handlers).forEach(action => {
+                try {
+                    navigator.mediaSession.setActionHandler(action, handlers[action]);
+                } catch (e) { /* action not supported by this browser */ }
+            });
+        }
+
+        seekBy(offset) {
+            const { position } = this.getPosition();
+            this.actions.seekto(Math.max(0, position + offset));
+        }
+
+        // Call on every track, play/pause or seek change; `track` is a manifest
+        // entry, or null to clear the session (e.g. the popup took over)
+        update(track, isPlaying) {
+            if (!this.supported) return;
+            const session = navigator.mediaSession;
+            if (!track) {
+                session.metadata = null;
+                session.playbackState = 'none';
+                this.trackKey = null;
+                return;
+            }
+            if (this.trackKey !== track.file) {
+                this.trackKey = track.file;
+                session.metadata = new MediaMetadata({
+                    title: track.name,
+                    artist: track.credit || 'MERA Study Music',
+                    album: track.object ? `MERA Study Music · ${track.object}` : 'MERA Study Music',
+                    artwork: this.artworkFor(track)
+                });
+            }
+            session.playbackState = isPlaying ? 'playing' : 'paused';
+            this.updatePosition();
+        }
+
+        updatePosition() {
+            if (!this.supported || !navigator.mediaSession.setPositionState) return;
+            const { duration, position } = this.getPosition();
+            if (!isFinite(duration) || duration <= 0) return;
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration,
+                    playbackRate: 1,
+                    position: Math.min(Math.max(0, position), duration)
+                });
+            } catch (e) { /* position out of range while a track loads */ }
+        }
+
+        artworkFor(track) {
+            if (track.artwork) {
+                return [{ src: new URL(track.artwork, this.artworkBase).href, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}` }];
+            }
+            const key = track.object || 'star';
+            if (!this.artworkCache.has(key)) {
+                this.artworkCache.set(key, this.drawArtwork(key));
+            }
+            const src = this.artworkCache.get(key);
+            return src ? [{ src, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}`, type: 'image/png' }] : [];
+        }
+
+        drawArtwork(object) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = ARTWORK_SIZE;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return null;
+            const c = ARTWORK_SIZE / 2;
+            const random = seededRandom(object);
+            const style = OBJECT_STYLES.find(s => s.match.test(object)) || OBJECT_STYLES[OBJECT_STYLES.length - 1];
+
+            ctx.fillStyle = '#05060a';
+            ctx.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE);
+            ctx.fillStyle = '#ffffff';
+            for (let i = 0; i < 120; i++) {
+                ctx.globalAlpha = 0.2 + random() * 0.6;
+                ctx.fillRect(random() * ARTWORK_SIZE, random() * ARTWORK_SIZE, 1.5, 1.5);
+            }
+            ctx.globalAlpha = 1;
+            painters[style.draw](ctx, c, style, random);
+
+            try {
+                return canvas.toDataURL('image/png');
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+
+    window.MeraMediaSession = MeraMediaSession;
+})();
@@ -1,35 +1,173 @@
-// MERA Study Music - Reality Check Notice
+// MERA.jl documentation - notifications
+// Small toasts in the corner of the page, shared by the music player and the
+// code tabs, in place of alert():
+//
+//   meraNotice.show('Switched all examples to PLUTO');
+//   meraNotice.show('Music file not found', { type: 'error' });
+//   meraNotice.show('Music paused', { action: { label: 'Resume', onClick: play } });
+//
+// options:
+//   type     - 'info' (default), 'success', 'warning' or 'error'
+//   icon     - emoji shown before the text (decoration only)
+//   duration - ms before it goes, 0 keeps it until closed; hovering or
+//              focusing a toast holds it
+//   action   - { label, onClick } button; clicking it also closes the toast
+//   key      - a toast with the same key replaces the earlier one
+//
+// show() returns { dismiss }. Toasts sit in a polite live region; errors are
+// announced at once (role="alert").
+//
+// It also reports the player: its errors, and music that stopped with the
+// last page load.
+
 (function() {
     'use strict';
-    
-    // Check if music was playing when page loaded
-    const wasPlaying = localStorage.getItem('mera-music-playing') === 'true';
-    const lastTrack = localStorage.getItem('mera-music-track');
-    
-    if (wasPlaying && lastTrack) {
-        // Show a discrete notice that music stopped
-        const notice = document.createElement('div');
-        notice.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            background: rgba(102, 126, 234, 0.9);
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 12px;
-            z-index: 9999;
-            opacity: 0.8;
-        `;
-        notice.textContent = '🎵 Music paused (page reload)';
-        document.body.appendChild(notice);
-        
-        // Auto-hide notice after 3 seconds
-        setTimeout(() => {
-            notice.style.opacity = '0';
-            setTimeout(() => notice.remove(), 1000);
-        }, 3000);
-        
-        console.log('🎵 Music was interrupted by page navigation');
+
+    if (window.meraNotice) return;
+
+    const DURATIONS = { info: 4000, success: 4000, warning: 6000, error: 8000 };
+    const ICONS = { info: 'ℹ️', success: '✅', warning: '⚠️', error: '⚠️' };
+    const MAX_TOASTS = 3;
+    const LEAVE_MS = 200;
+
+    class MeraNotice {
+        constructor() {
+            this.region = null;
+            this.toasts = [];
+        }
+
+        // Created on first use; toasts raised before <body> exists wait for it
+        getRegion() {
+            if (this.region && this.region.isConnected) return this.region;
+            if (!document.body) return null;
+            this.region = document.createElement('div');
+            this.region.className = 'mera-toast-region';
+            this.region.setAttribute('role', 'status');
+            this.region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.region);
+            return this.region;
+        }
+
+        show(message, options = {}) {
+            const type = DURATIONS[options.type] ? options.type : 'info';
+            const toast = {
+                key: options.key || null,
+                element: null,
+                timer: null,
+                duration: options.duration === undefined ? DURATIONS[type] : options.duration,
+                dismiss: () => this.dismiss(toast)
+            };
+
+            const region = this.getRegion();
+            if (!region) {
+                document.addEventListener('DOMContentLoaded', () => {
+                    Object.assign(toast, this.show(message, options));
+                }, { once: true });
+                return { dismiss: () => toast.dismiss() };
+            }
+
+            if (toast.key) {
+                this.toasts.filter(t => t.key === toast.key).forEach(t => this.remove(t));
+            }
+            while (this.toasts.length >= MAX_TOASTS) this.remove(this.toasts[0]);
+
+            const element = document.createElement('div');
+            element.className = `mera-toast mera-toast-${type}`;
+            if (type === 'error') element.setAttribute('role', 'alert');
+
+            const icon = document.createElement('span');
+            icon.className = 'mera-toast-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = options.icon || ICONS[type];
+            const text = document.createElement('span');
+            text.className = 'mera-toast-text';
+            text.textContent = message;
+            element.append(icon, text);
+
+            if (options.action) {
+                const action = document.createElement('button');
+                action.type = 'button';
+                action.className = 'mera-toast-action';
+                action.textContent = options.action.label;
+                action.addEventListener('click', () => {
+                    this.dismiss(toast);
+                    options.action.onClick();
+                });
+                element.appendChild(action);
+            }
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'mera-toast-close';
+            close.setAttribute('aria-label', 'Dismiss notification');
+            close.innerHTML = '<span aria-hidden="true">×</span>';
+            close.addEventListener('click', () => this.dismiss(toast));
+            element.appendChild(close);
+
+            // Reading or using a toast keeps it on screen
+            element.addEventListener('mouseenter', () => this.hold(toast));
+            element.addEventListener('focusin', () => this.hold(toast));
+            element.addEventListener('mouseleave', () => this.release(toast));
+            element.addEventListener('focusout', () => this.release(toast));
+
+            toast.element = element;
+            region.appendChild(element);
+            this.toasts.push(toast);
+            this.release(toast);
+            return { dismiss: toast.dismiss };
+        }
+
+        hold(toast) {
+            clearTimeout(toast.timer);
+            toast.timer = null;
+        }
+
+        release(toast) {
+            if (!toast.duration || toast.element.matches(':hover, :focus-within')) return;
+            clearTimeout(toast.timer);
+            toast.timer = setTimeout(() => this.dismiss(toast), toast.duration);
+        }
+
+        // Fade out, then remove
+        dismiss(toast) {
+            if (!this.toasts.includes(toast)) return;
+            this.hold(toast);
+            this.toasts = this.toasts.filter(t => t !== toast);
+            toast.element.classList.add('is-leaving');
+            setTimeout(() => toast.element.remove(), LEAVE_MS);
+        }
+
+        remove(toast) {
+            this.hold(toast);
+            this.toasts = this.toasts.filter(t => t !== toast);
+            toast.element.remove();
+        }
+
+        clear() {
+            this.toasts.slice().forEach(toast => this.remove(toast));
+        }
     }
-})();
\ No newline at end of file
+
+    window.MeraNotice = MeraNotice;
+    window.meraNotice = new MeraNotice();
+
+    // The player (music_player.js) loads after this file
+    document.addEventListener('mera-music-ready', (event) => {
+        const player = event.detail;
+        player.on('error', ({ message }) => {
+            window.meraNotice.show(message, { type: 'error', icon: '🎵', key: 'music-error' });
+        });
+
+        // Browsers do not let music start by itself after a page load
+        const state = player.getState();
+        if (state.canResume) {
+            window.meraNotice.show(`Music paused (page reload): ${state.trackName}`, {
+                icon: '🎵',
+                key: 'music-resume',
+                duration: 6000,
+                action: { label: 'Resume', onClick: () => player.play() }
+            });
+            console.log('🎵 Music was interrupted by page navigation');
+        }
+    });
+})();
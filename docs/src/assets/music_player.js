@@ -1,6 +1,61 @@
-// Enhanced Persistent Music Player for MERA.jl Documentation
-// Now with seamless popup transfer functionality
-// This creates a truly persistent top bar that survives page navigation
+// MERA Study Music - player core for the MERA.jl documentation
+// Owns the audio (music_engine.js), the play queue, tab sync and the popup
+// hand-over, and publishes everything through one public API. What readers
+// see is drawn by views that only use that API:
+//
+//   music_view_topbar.js  - the persistent bar at the top of every page
+//   music_view_widget.js  - compact controls for <div class="mera-music-widget">
+//   popup_music_player.html - the popup window
+//
+// The popup runs this same core (<html data-mera-player="popup">). There it
+// plays, and the docs page that opened it only mirrors it: the two talk over
+// music_protocol.js, the popup's core taking the page's state on 'hello' and
+// handing it back on 'return' or 'bye'. A popup core does no tab sync.
+//
+// Public API, window.meraMusic:
+//
+//   on(type, handler)   subscribe; returns a function that unsubscribes
+//   off(type, handler)
+//   play() / pause() / toggle() / next() / previous()
+//   setVolume(0..1) / seek(seconds)
+//   toggleMute()        silence and restore the level set before
+//   command(name, arg)  any of the above by name, plus 'shuffle', 'repeat'
+//                       and 'mute' (true / false, or a toggle without arg)
+//   playFile(file)      play a library track, making it the queue's current
+//   setCrossfade(s)     crossfade length in seconds, 0 for gapless
+//   togglePopup()       must run inside the click handler (window.open); in
+//                       the popup it hands the music back to the page
+//   getState()          the current state snapshot (see 'statechange')
+//   getTrack(file)      library entry for a file, or null; imported tracks
+//                       (music_local_tracks.js) have file "local:<id>"
+//   getLibrary()        every library entry, bundled ones first
+//   getAnalyser()       the engine's AnalyserNode, or null (no Web Audio yet)
+//   hasAnalyser         false where there never is one (file://)
+//   localTracks         the reader's imported tracks (music_local_tracks.js)
+//   focus               the focus session (music_focus.js), if loaded
+//   shortcuts           the keyboard shortcuts (music_shortcuts.js), if loaded
+//   registerView({ name, mount(api) })
+//
+// Commands return promises and are forwarded to the owning tab when another
+// tab is playing. Events:
+//
+//   statechange  { track, trackName, isPlaying, volume, muted, mode,
+//                  activePlayer, connecting, shuffle, repeat, crossfade,
+//                  canResume, hasSource }
+//                mode is 'local', 'popup' (this tab's popup plays) or
+//                'remote' (another tab plays; values are that tab's)
+//   trackchange  { file, track, previousFile }
+//   volumechange { volume, muted }
+//   librarychange { library }
+//   error        { message, error }
+//   focus        { event, session }  a focus session transition
+//   focustick    { session }         once a second while a countdown runs
+//
+// Scripts loaded before this one (custom.js) wait for the player with
+//
+//   document.addEventListener('mera-music-ready', (e) => {
+//       e.detail.on('trackchange', ({ track }) => ...);
+//   });
 
 (function() {
     'use strict';
@@ -12,192 +67,327 @@
     window.meraScriptCounter++;
     console.log(`🎵 ENHANCED SCRIPT EXECUTION #${window.meraScriptCounter} - URL: ${window.location.pathname}`);
     
-    // Calculate correct music path for current page
-    function getMusicPath(filename) {
-        const currentUrl = window.location.href;
-        const currentPath = window.location.pathname;
-        
-        // Handle local file:// protocol
-        if (currentUrl.startsWith('file://')) {
-            const pathSegments = currentPath.split('/');
-            const buildIndex = pathSegments.indexOf('build');
-            
-            if (buildIndex !== -1 && pathSegments.length > buildIndex + 1) {
-                const levelsDeep = pathSegments.length - buildIndex - 2;
-                if (levelsDeep > 0) {
-                    const backPath = '../'.repeat(levelsDeep);
-                    return `${backPath}assets/music/${filename}`;
-                } else {
-                    return `assets/music/${filename}`;
-                }
-            } else {
-                return `assets/music/${filename}`;
-            }
+    // Documenter loads this file as `<docs root>/assets/<name>.js` and writes
+    // `documenterBaseURL` (the root, relative to the page) into every page, so the
+    // docs root is known exactly on /dev/, /stable/, /v1.x/, PR previews, custom
+    // hosts and file:// alike. Capture the script URL now: `currentScript` is
+    // only set while the script is being evaluated.
+    const meraScriptSrc = document.currentScript ? document.currentScript.src : '';
+    
+    function getDocsRoot() {
+        if (meraScriptSrc) {
+            return new URL('../', meraScriptSrc).href;
         }
-        
-        // Handle web URLs (GitHub Pages, etc.)
-        if (currentPath === '/' || currentPath.endsWith('/index.html') || currentPath === '/Mera.jl/' || currentPath === '/Mera.jl/dev/' || currentPath.endsWith('/dev/')) {
-            return `assets/music/${filename}`;
-        } else if (currentPath.includes('/Mera.jl/dev/')) {
-            const pathAfterDev = currentPath.split('/dev/')[1];
-            if (pathAfterDev) {
-                const pathSegments = pathAfterDev.split('/').filter(segment => segment);
-                const levelsDeep = pathSegments.length > 0 && !pathSegments[pathSegments.length - 1].includes('.') ? 
-                                 pathSegments.length : pathSegments.length - 1;
-                const backPath = '../'.repeat(Math.max(0, levelsDeep));
-                return `${backPath}assets/music/${filename}`;
-            } else {
-                return `assets/music/${filename}`;
-            }
-        } else if (currentPath.includes('/Mera.jl/')) {
-            const pathSegments = currentPath.split('/').filter(segment => segment && segment !== 'Mera.jl');
-            const backPath = '../'.repeat(Math.max(0, pathSegments.length - 1));
-            return `${backPath}assets/music/${filename}`;
-        } else {
-            return `/assets/music/${filename}`;
+        if (typeof window.documenterBaseURL === 'string') {
+            return new URL(window.documenterBaseURL.replace(/\/?$/, '/'), window.location.href).href;
         }
+        return new URL('./', window.location.href).href;
+    }
+    
+    const docsRoot = getDocsRoot();
+    
+    // This core runs in the popup window rather than in a docs page
+    const inPopup = document.documentElement.dataset.meraPlayer === 'popup';
+    
+    // Resolve a path relative to the docs root, e.g. 'assets/music/vega.mp3'
+    function resolveAsset(path) {
+        return new URL(path, docsRoot).href;
+    }
+    
+    // URL of a bundled music file, independent of the current page depth
+    function getMusicPath(filename) {
+        return resolveAsset(`assets/music/${filename}`);
     }
     
+    // Resume point and volume, in the shared state store (mera_store.js)
+    const playerState = window.meraStore.namespace('player');
+    const PROGRESS_SAVE_MS = 5000;
+    
     // Enhanced audio system with popup support
     if (!window.meraEnhancedAudioSystem) {
         window.meraEnhancedAudioSystem = {
-            audio: new Audio(),
             isPlaying: false,
             currentTrack: '',
-            volume: 0.15,
+            volume: playerState.get('volume', 0.15),
+            muted: playerState.get('muted', false),
             currentTime: 0,
             activePlayer: 'topbar', // 'topbar' or 'popup'
             popupWindow: null,
-            tracks: [
-                'alpha_centauri.mp3', 'andromeda_galaxy.mp3', 'arcturus_red_giant.mp3',
-                'betelgeuse_supergiant.mp3', 'black_hole.mp3', 'cassiopeia_constellation.mp3', 
-                'crab_nebula.mp3', 'eagle_nebula.mp3', 'europa_moon.mp3', 'horsehead_nebula.mp3', 
-                'kepler_442b_exoplanet.mp3', 'milky_way_galaxy.mp3', 'orion_nebula.mp3', 
-                'polaris_north_star.mp3', 'proxima_centauri.mp3', 'ring_nebula.mp3', 
-                'rigel_blue_supergiant.mp3', 'sagittarius_a_star.mp3', 'sirius_binary_star.mp3',
-                'titan_moon.mp3', 'vega.mp3', 'whirlpool_galaxy.mp3'
-            ],
-            musicLibrary: [
-                { file: 'alpha_centauri.mp3', name: 'Alpha Centauri' },
-                { file: 'andromeda_galaxy.mp3', name: 'Andromeda Galaxy' },
-                { file: 'arcturus_red_giant.mp3', name: 'Arcturus Red Giant' },
-                { file: 'betelgeuse_supergiant.mp3', name: 'Betelgeuse Supergiant' },
-                { file: 'black_hole.mp3', name: 'Black Hole' },
-                { file: 'cassiopeia_constellation.mp3', name: 'Cassiopeia Constellation' },
-                { file: 'crab_nebula.mp3', name: 'Crab Nebula' },
-                { file: 'eagle_nebula.mp3', name: 'Eagle Nebula' },
-                { file: 'europa_moon.mp3', name: 'Europa Moon' },
-                { file: 'horsehead_nebula.mp3', name: 'Horsehead Nebula' },
-                { file: 'kepler_442b_exoplanet.mp3', name: 'Kepler-442b Exoplanet' },
-                { file: 'milky_way_galaxy.mp3', name: 'Milky Way Galaxy' },
-                { file: 'orion_nebula.mp3', name: 'Orion Nebula' },
-                { file: 'polaris_north_star.mp3', name: 'Polaris North Star' },
-                { file: 'proxima_centauri.mp3', name: 'Proxima Centauri' },
-                { file: 'ring_nebula.mp3', name: 'Ring Nebula' },
-                { file: 'rigel_blue_supergiant.mp3', name: 'Rigel Blue Supergiant' },
-                { file: 'sagittarius_a_star.mp3', name: 'Sagittarius A Star' },
-                { file: 'sirius_binary_star.mp3', name: 'Sirius Binary Star' },
-                { file: 'titan_moon.mp3', name: 'Titan Moon' },
-                { file: 'vega.mp3', name: 'Vega' },
-                { file: 'whirlpool_galaxy.mp3', name: 'Whirlpool Galaxy' }
-            ]
+            library: [] // filled from assets/music/tracks.json by loadLibrary()
         };
         
         const sys = window.meraEnhancedAudioSystem;
-        sys.audio.volume = sys.volume;
-        sys.audio.loop = false;
-        sys.audio.preload = 'auto';
         
-        // Enhanced event handlers with popup support
-        sys.audio.addEventListener('ended', () => {
-            if (sys.isPlaying && sys.activePlayer === 'topbar') {
-                console.log('🎵 Track ended, playing next...');
-                const nextTrack = sys.tracks[Math.floor(Math.random() * sys.tracks.length)];
-                sys.playTrack(nextTrack);
+        // Two crossfading decks on a Web Audio graph (music_engine.js).
+        // sys.audio is always the deck that is playing now.
+        sys.engine = new window.MeraAudioEngine({ volume: sys.muted ? 0 : sys.volume });
+        // What the engine plays at; sys.volume is kept while muted
+        sys.outputVolume = () => sys.muted ? 0 : sys.volume;
+        Object.defineProperty(sys, 'audio', { get: () => sys.engine.active });
+        
+        // The track manifest is the one list of bundled tracks and their metadata
+        // (file, name, duration, credit, license, object, tags). Every view reads
+        // sys.library / sys.getTrack() rather than keeping a copy of its own.
+        // Tracks the reader imported in the popup (music_local_tracks.js) are
+        // appended, with "local:<id>" file names.
+        sys.localTracks = new window.MeraLocalTracks();
+        sys.bundledTracks = [];
+        
+        sys.mergeLibrary = (imported) => {
+            sys.library = sys.bundledTracks.concat(imported);
+            sys.queue.setTracks(sys.library.map(track => track.file));
+            emit('librarychange', { library: sys.library.slice() });
+        };
+        
+        sys.loadLibrary = () => {
+            if (!sys.libraryReady) {
+                const manifest = fetch(resolveAsset('assets/music/tracks.json'))
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .then(manifest => {
+                        const defaults = manifest.defaults || {};
+                        return (manifest.tracks || []).map(track =>
+                            Object.assign({ duration: null, object: '', tags: [] }, defaults, track));
+                    })
+                    .catch(e => {
+                        console.error('🎵 Track manifest could not be loaded:', e);
+                        return [];
+                    });
+                sys.libraryReady = Promise.all([manifest, sys.localTracks.list()]).then(([bundled, imported]) => {
+                    sys.bundledTracks = bundled;
+                    sys.mergeLibrary(imported);
+                    console.log(`🎵 Track manifest loaded: ${bundled.length} tracks, ${imported.length} imported`);
+                    return sys.library;
+                });
+            }
+            return sys.libraryReady;
+        };
+        
+        // Imports, renames and deletions made in the popup
+        sys.localTracks.onChange = () => {
+            sys.loadLibrary()
+                .then(() => sys.localTracks.list())
+                .then(imported => {
+                    sys.mergeLibrary(imported);
+                    notify();
+                });
+        };
+        
+        sys.getTrack = (filename) => sys.library.find(track => track.file === filename) || null;
+        
+        // Shuffle bag, history and repeat mode (music_queue.js), persisted
+        // across page loads and handed to the popup along with the playback
+        sys.queue = window.MeraPlayQueue.load([]);
+        
+        sys.loadLibrary();
+        
+        // Manifest durations may be left empty; learn them from the file itself
+        sys.engine.addEventListener('loadedmetadata', () => {
+            const track = sys.getTrack(sys.currentTrack);
+            if (track && !track.duration && isFinite(sys.audio.duration)) {
+                track.duration = Math.round(sys.audio.duration);
             }
         });
         
-        sys.audio.addEventListener('play', () => {
-            if (sys.activePlayer === 'topbar') {
+        // Cross-tab coordination (music_sync.js), started in initialize(). Only
+        // the tab that owns playback writes the shared mera-* keys.
+        sys.sync = null;
+        sys.ownsPlayback = () => !sys.sync || sys.sync.isOwner;
+        
+        // Enhanced event handlers with popup support
+        // The engine asks for the next track shortly before the current one ends
+        // (the crossfade length ahead), or on 'ended' if it could not tell
+        sys.engine.onTrackEnding = () => {
+            if (sys.activePlayer !== 'topbar' || !sys.ownsPlayback()) return;
+            const nextTrack = sys.queue.next({ auto: true });
+            if (nextTrack) {
+                console.log('🎵 Track ending, crossfading into the next...');
+                sys.playTrack(nextTrack).catch(() => { /* logged by playTrack */ });
+            } else {
+                console.log('🎵 Queue finished (repeat off)');
+            }
+        };
+        
+        // Where to resume after a reload. Only the tab that owns playback
+        // writes it; the store debounces the writes.
+        sys.saveProgress = (wasPlaying) => {
+            playerState.update({ wasPlaying, track: sys.currentTrack, time: sys.audio.currentTime });
+        };
+        
+        sys.engine.addEventListener('play', () => {
+            if (sys.activePlayer === 'topbar' && sys.ownsPlayback()) {
                 sys.isPlaying = true;
-                localStorage.setItem('mera-was-playing', 'true');
-                localStorage.setItem('mera-current-track', sys.currentTrack);
-                localStorage.setItem('mera-audio-time', sys.audio.currentTime.toString());
+                sys.saveProgress(true);
+                if (sys.sync) sys.sync.publishState();
                 console.log('🎵 Audio started playing in top bar');
             }
         });
         
-        sys.audio.addEventListener('pause', () => {
-            if (sys.activePlayer === 'topbar') {
+        sys.engine.addEventListener('pause', () => {
+            if (sys.activePlayer === 'topbar' && sys.ownsPlayback()) {
                 sys.isPlaying = false;
-                localStorage.setItem('mera-was-playing', 'false');
+                playerState.set('wasPlaying', false);
+                if (sys.sync) sys.sync.publishState();
                 console.log('🎵 Audio paused in top bar');
             }
         });
         
-        sys.audio.addEventListener('timeupdate', () => {
-            if (sys.isPlaying && sys.activePlayer === 'topbar') {
+        // timeupdate fires about four times a second; the resume point only
+        // needs to be roughly right, and the page lifecycle events below
+        // save the exact position when the page goes away
+        let lastProgressSave = 0;
+        sys.engine.addEventListener('timeupdate', () => {
+            if (sys.isPlaying && sys.activePlayer === 'topbar' && sys.ownsPlayback()) {
                 sys.currentTime = sys.audio.currentTime;
-                localStorage.setItem('mera-audio-time', sys.audio.currentTime.toString());
-                localStorage.setItem('mera-current-track', sys.currentTrack);
+                const now = Date.now();
+                if (now - lastProgressSave >= PROGRESS_SAVE_MS) {
+                    lastProgressSave = now;
+                    sys.saveProgress(true);
+                }
             }
         });
         
+        // Encoding of a bundled track to load (music_sources.js): what this
+        // browser plays, smaller ones on a slow connection
+        sys.sourceFile = (filename) => window.MeraSources.pick(sys.getTrack(filename)) || filename;
+        sys.engine.lazyPreload = window.MeraSources.constrained();
+        window.MeraSources.onChange(() => {
+            sys.engine.lazyPreload = window.MeraSources.constrained();
+        });
+        
+        // URL of a bundled track's encoding, with its loudness correction
+        // handed to the engine
+        sys.musicURL = (filename) => {
+            const source = sys.sourceFile(filename);
+            const path = getMusicPath(source);
+            sys.engine.setTrackGain(path, window.MeraSources.gainDb(sys.getTrack(filename), source));
+            return path;
+        };
+        
+        // Address of any library file: bundled ones under assets/music/,
+        // imported ones as an object URL read from IndexedDB
+        sys.trackURL = (filename) => {
+            if (window.MeraLocalTracks.isLocal(filename)) return sys.localTracks.url(filename);
+            return Promise.resolve(sys.musicURL(filename));
+        };
+        
+        // Load a track into the playing deck without starting it. Bundled
+        // files are set at once, so getState() right after already has them.
+        sys.setSource = (filename, time) => {
+            const apply = (path) => {
+                sys.audio.src = path;
+                sys.audio.currentTime = time;
+            };
+            if (!window.MeraLocalTracks.isLocal(filename)) {
+                apply(sys.musicURL(filename));
+                return Promise.resolve();
+            }
+            return sys.localTracks.url(filename).then(apply);
+        };
+        
         // Enhanced functions with popup support
+        // Crossfades when a track is playing, fades in otherwise
         sys.playTrack = async (filename) => {
-            const path = getMusicPath(filename);
-            console.log(`🎵 Playing: ${path}`);
             sys.currentTrack = filename;
-            sys.audio.src = path;
             try {
-                await sys.audio.play();
+                const path = await sys.trackURL(filename);
+                console.log(`🎵 Playing: ${path}`);
+                await sys.engine.playTrack(path);
                 sys.isPlaying = true;
+                sys.preloadNext();
             } catch (e) {
+                // An encoding missing from this deploy: try the next one
+                const source = sys.sourceFile(filename);
+                if (e.name === 'NotSupportedError' && !window.MeraLocalTracks.isLocal(filename) &&
+                    window.MeraSources.markFailed(sys.getTrack(filename), source)) {
+                    console.log(`🎵 ${source} unavailable, trying another encoding`);
+                    return sys.playTrack(filename);
+                }
                 console.error('🎵 Play error:', e);
                 sys.isPlaying = false;
+                throw e;
             }
         };
         
-        sys.pause = () => {
-            sys.audio.pause();
+        // Buffer the upcoming track on the idle deck for a gapless change
+        sys.preloadNext = () => {
+            const upcoming = sys.queue.peek();
+            if (upcoming) {
+                sys.trackURL(upcoming)
+                    .then(path => sys.engine.preload(path))
+                    .catch(() => { /* found missing when it is played */ });
+            }
+        };
+        
+        sys.pause = (fadeSeconds) => {
             sys.isPlaying = false;
+            return sys.engine.pause(fadeSeconds);
+        };
+        
+        // Queue commands
+        sys.next = () => {
+            return sys.loadLibrary().then(() => {
+                const nextTrack = sys.queue.next();
+                if (nextTrack) return sys.playTrack(nextTrack);
+            });
         };
         
-        sys.playRandom = () => {
-            const randomTrack = sys.tracks[Math.floor(Math.random() * sys.tracks.length)];
-            return sys.playTrack(randomTrack);
+        sys.previous = () => {
+            const previousTrack = sys.queue.previous();
+            if (previousTrack) return sys.playTrack(previousTrack);
+            return Promise.resolve();
         };
         
+        sys.playFromLibrary = (filename) => {
+            if (sys.queue.play(filename)) return sys.playTrack(filename);
+            return Promise.resolve();
+        };
+        
+        sys.playRandom = sys.next;
+        
         // NEW: Popup transfer functions
         sys.transferToPopup = () => {
             sys.currentTime = sys.audio.currentTime;
             sys.activePlayer = 'popup';
-            sys.audio.pause();
+            sys.engine.stop();
             console.log('🎵 Transferred playback to popup');
         };
         
-        sys.transferFromPopup = (state) => {
+        // Carry on from the other window's state: the popup's when it hands
+        // back, the page's when the popup starts. Resolves once playing (or
+        // after reporting why it could not).
+        sys.adopt = (state) => {
             sys.activePlayer = 'topbar';
-            sys.currentTrack = state.track;
-            sys.volume = state.volume;
-            sys.currentTime = state.currentTime;
-            sys.isPlaying = state.isPlaying;
-            
-            if (state.track) {
-                const path = getMusicPath(state.track);
-                sys.audio.src = path;
-                sys.audio.volume = sys.volume;
-                sys.audio.currentTime = sys.currentTime;
-                
-                if (state.isPlaying) {
-                    sys.audio.play().then(() => {
-                        console.log('🎵 Successfully transferred from popup');
-                    }).catch(e => {
-                        console.error('🎵 Transfer from popup failed:', e);
-                        sys.isPlaying = false;
-                    });
-                }
+            sys.currentTrack = state.track || '';
+            // 0 is a volume too, not a missing one
+            if (typeof state.volume === 'number') sys.volume = state.volume;
+            sys.muted = !!state.muted;
+            playerState.update({ volume: sys.volume, muted: sys.muted });
+            sys.engine.setVolume(sys.outputVolume());
+            sys.currentTime = state.currentTime || 0;
+            sys.isPlaying = !!state.isPlaying;
+            if (state.queue) {
+                sys.queue.restore(state.queue);
+                sys.queue.save();
             }
+            if (!state.track) return Promise.resolve();
+            
+            return sys.setSource(state.track, sys.currentTime)
+                .then(() => {
+                    if (state.isPlaying) return sys.engine.resume();
+                })
+                .catch(e => {
+                    console.error('🎵 Could not carry on playing:', e);
+                    sys.isPlaying = false;
+                    reportError(playbackErrorMessage(e), e);
+                })
+                .then(notify);
+        };
+        
+        sys.transferFromPopup = (state) => {
+            sys.adopt(state);
             
             // Close popup
             if (sys.popupWindow && !sys.popupWindow.closed) {
@@ -212,974 +402,747 @@
                 isPlaying: sys.isPlaying,
                 currentTime: sys.audio.currentTime || sys.currentTime,
                 volume: sys.volume,
-                trackName: getTrackDisplayName(sys.currentTrack)
+                muted: sys.muted,
+                trackName: getTrackDisplayName(sys.currentTrack),
+                queue: sys.queue.toJSON(),
+                activePlayer: inPopup ? 'popup' : sys.activePlayer
             };
         };
         
-        // Save state before page unload
-        window.addEventListener('beforeunload', () => {
-            if (sys.isPlaying && sys.activePlayer === 'topbar') {
-                localStorage.setItem('mera-was-playing', 'true');
-                localStorage.setItem('mera-current-track', sys.currentTrack);
-                localStorage.setItem('mera-audio-time', sys.audio.currentTime.toString());
-                console.log('🎵 Enhanced state saved before page unload');
+        // Save the exact position whenever the page may not come back:
+        // hidden (mobile browsers may discard it), frozen, or left. Unlike
+        // beforeunload these keep the back/forward cache working.
+        const saveBeforeLeaving = () => {
+            if (sys.isPlaying && sys.activePlayer === 'topbar' && sys.ownsPlayback()) {
+                sys.saveProgress(true);
+                window.meraStore.flush();
             }
+        };
+        window.addEventListener('pagehide', saveBeforeLeaving);
+        document.addEventListener('freeze', saveBeforeLeaving);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveBeforeLeaving();
         });
         
         console.log('🎵 Enhanced audio system created');
     }
     
-    // Setup popup communication
-    window.addEventListener('message', (event) => {
-        const sys = window.meraEnhancedAudioSystem;
+    // Popup communication (music_protocol.js). Only a window this tab opened is
+    // heard, which also covers a popup opened before the last page navigation.
+    const POPUP_HANDSHAKE_MS = 8000;
+    
+    if (window.meraPopupChannel) window.meraPopupChannel.close();
+    window.meraPopupChannel = inPopup ? null : new window.MeraMessageChannel({
+        acceptSource: source => !!source && source.opener === window,
         
-        if (event.data.type === 'popupReady') {
-            // Send current state to popup
-            const currentState = sys.getCurrentState();
-            event.source.postMessage({
-                type: 'initializePopup',
-                state: currentState,
-                musicLibrary: sys.musicLibrary
-            }, '*');
-            
-            // Transfer control to popup
-            sys.transferToPopup();
-            updateUI();
-            
-        } else if (event.data.type === 'transferFromPopup') {
-            // Receive state back from popup
-            sys.transferFromPopup(event.data.state);
-            updateUI();
-            
-        } else if (event.data.type === 'popupStateUpdate') {
-            // Update our tracking of popup state
-            sys.currentTime = event.data.currentTime;
-            sys.isPlaying = event.data.isPlaying;
-            updateUI();
+        onRequest: (type, payload, source) => {
+            const sys = window.meraEnhancedAudioSystem;
+            if (type === 'hello') {
+                // Send the current state, then hand over
+                return sys.loadLibrary().then(() => {
+                    const reply = { state: sys.getCurrentState() };
+                    clearTimeout(sys.popupHandshakeTimer);
+                    sys.popupWindow = source;
+                    sys.transferToPopup();
+                    notify();
+                    return reply;
+                });
+            }
+            if (type === 'return') {
+                sys.transferFromPopup(payload.state || {});
+                notify();
+            }
+            return {};
+        },
+        
+        onEvent: (type, payload, source) => {
+            const sys = window.meraEnhancedAudioSystem;
+            const state = payload.state || {};
+            if (type === 'state') {
+                // After a navigation the popup is still playing, but this page
+                // has not met it yet
+                if (sys.activePlayer !== 'popup') {
+                    sys.activePlayer = 'popup';
+                    sys.popupWindow = source;
+                    sys.engine.stop();
+                }
+                const changed = sys.isPlaying !== !!state.isPlaying || sys.currentTrack !== state.track;
+                sys.currentTime = state.currentTime || 0;
+                sys.isPlaying = !!state.isPlaying;
+                if (state.track) sys.currentTrack = state.track;
+                if (changed && sys.sync) sys.sync.publishState();
+                notify();
+            } else if (type === 'bye' && sys.activePlayer === 'popup') {
+                // Popup closed without "Return": carry on here
+                sys.transferFromPopup(state);
+                notify();
+            }
         }
     });
     
-    // Music library for display
-    const musicTracks = [
-        { file: 'alpha_centauri.mp3', name: 'Alpha Centauri' },
-        { file: 'andromeda_galaxy.mp3', name: 'Andromeda Galaxy' },
-        { file: 'betelgeuse_supergiant.mp3', name: 'Betelgeuse Supergiant' },
-        { file: 'cassiopeia_constellation.mp3', name: 'Cassiopeia Constellation' },
-        { file: 'crab_nebula.mp3', name: 'Crab Nebula' },
-        { file: 'eagle_nebula.mp3', name: 'Eagle Nebula' },
-        { file: 'horsehead_nebula.mp3', name: 'Horsehead Nebula' },
-        { file: 'orion_nebula.mp3', name: 'Orion Nebula' },
-        { file: 'proxima_centauri.mp3', name: 'Proxima Centauri' },
-        { file: 'sagittarius_a_star.mp3', name: 'Sagittarius A Star' },
-        { file: 'vega.mp3', name: 'Vega' }
-    ];
+    // Get track display name from the manifest
+    function getTrackDisplayName(filename) {
+        const track = filename ? window.meraEnhancedAudioSystem.getTrack(filename) : null;
+        return track ? track.name : 'Unknown Track';
+    }
     
-    // Use enhanced global system
-    if (typeof window.meraIsPlaying === 'undefined') {
-        window.meraIsPlaying = false;
+    // Event API: views and page scripts subscribe here instead of reading
+    // the audio system
+    const listeners = {};
+    const views = [];
+    let viewsMounted = false;
+    let lastStateKey = null;
+    let lastTrack = '';
+    let lastVolume = null;
+    let lastMuted = null;
+    
+    function on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
     }
     
-    // Synchronize with enhanced system
-    const sys = window.meraEnhancedAudioSystem;
-    if (sys) {
-        window.meraIsPlaying = sys.isPlaying;
-        console.log(`🎵 Enhanced script loaded - Audio state: playing=${window.meraIsPlaying}, activePlayer=${sys.activePlayer}`);
+    function off(type, handler) {
+        if (listeners[type]) listeners[type] = listeners[type].filter(h => h !== handler);
     }
     
-    // Get track display name
-    function getTrackDisplayName(filename) {
-        if (!filename) return 'Unknown Track';
-        return filename.replace(/\.(wav|mp3)$/, '').replace(/_/g, ' ')
-            .split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    // One failing subscriber must not break the player or the other views
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`🎵 "${type}" listener failed:`, error);
+            }
+        });
     }
     
-    // Get current track name
-    function getCurrentTrackName() {
+    // Snapshot of what the reader should see. currentTime is left out on
+    // purpose: the snapshot only changes on things worth redrawing.
+    function getState() {
         const sys = window.meraEnhancedAudioSystem;
-        if (!sys.currentTrack) return 'Unknown Track';
-        return getTrackDisplayName(sys.currentTrack);
+        if (sys.sync && sys.sync.hasRemoteOwner()) {
+            const remote = sys.sync.remoteState;
+            const modes = remote && remote.queue ? remote.queue : sys.queue;
+            return {
+                track: remote ? remote.track : '',
+                trackName: remote ? getTrackDisplayName(remote.track) : '',
+                isPlaying: !!(remote && remote.isPlaying),
+                volume: remote ? remote.volume : sys.volume,
+                muted: !!(remote && remote.muted),
+                mode: 'remote',
+                activePlayer: remote ? remote.activePlayer : 'topbar',
+                connecting: !remote,
+                shuffle: !!modes.shuffle,
+                repeat: modes.repeat,
+                crossfade: sys.engine.crossfade,
+                canResume: false,
+                hasSource: !!(remote && remote.track)
+            };
+        }
+        const hasSource = !!sys.audio.src;
+        return {
+            track: sys.currentTrack,
+            trackName: sys.currentTrack ? getTrackDisplayName(sys.currentTrack) : 'Unknown Track',
+            isPlaying: sys.isPlaying,
+            volume: sys.volume,
+            muted: sys.muted,
+            mode: sys.activePlayer === 'popup' ? 'popup' : 'local',
+            activePlayer: sys.activePlayer,
+            connecting: false,
+            shuffle: !!sys.queue.shuffle,
+            repeat: sys.queue.repeat,
+            crossfade: sys.engine.crossfade,
+            canResume: playerState.get('wasPlaying', false) && !sys.isPlaying && hasSource,
+            hasSource
+        };
     }
     
-    // Enhanced UI update with popup support
-    function updateUI() {
-        const playBtn = document.getElementById('mera-top-play-btn');
-        const pauseBtn = document.getElementById('mera-top-pause-btn');
-        const status = document.getElementById('mera-top-status');
-        const popupBtn = document.getElementById('mera-popup-btn');
-        
-        const sys = window.meraEnhancedAudioSystem;
-        if (playBtn && pauseBtn && status && sys) {
-            
-            if (sys.activePlayer === 'popup') {
-                // Show popup status
-                playBtn.style.display = 'none';
-                pauseBtn.style.display = 'none';
-                status.textContent = '🪟 Playing in popup window';
-                status.style.color = 'rgba(255, 255, 255, 0.9)';
-                status.style.fontWeight = '600';
-                
-                if (popupBtn) {
-                    popupBtn.textContent = '🪟 Active';
-                    popupBtn.style.background = 'rgba(76, 175, 80, 0.3)';
-                    popupBtn.style.borderColor = 'rgba(76, 175, 80, 0.5)';
-                    popupBtn.disabled = true;
-                }
-                
-            } else {
-                // Regular top bar mode
-                if (popupBtn) {
-                    popupBtn.textContent = '🪟 Popup';
-                    popupBtn.style.background = 'rgba(255,255,255,0.15)';
-                    popupBtn.style.borderColor = 'rgba(255,255,255,0.25)';
-                    popupBtn.disabled = false;
-                }
-                
-                const shouldRestore = localStorage.getItem('mera-was-playing') === 'true' && 
-                                     !sys.isPlaying && sys.audio.src;
-                
-                if (sys.isPlaying) {
-                    playBtn.style.display = 'none';
-                    pauseBtn.style.display = 'inline-block';
-                    status.textContent = `Playing: ${getCurrentTrackName()}`;
-                    status.style.color = 'rgba(255, 255, 255, 0.9)';
-                    status.style.fontWeight = 'normal';
-                } else if (shouldRestore) {
-                    playBtn.style.display = 'inline-block';
-                    pauseBtn.style.display = 'none';
-                    playBtn.textContent = '▶️ Resume Music';
-                    playBtn.style.backgroundColor = 'rgba(255,255,255,0.3)';
-                    status.textContent = `Click to resume: ${getCurrentTrackName()}`;
-                    status.style.color = 'rgba(255, 255, 255, 0.9)';
-                    status.style.fontWeight = 'normal';
-                } else {
-                    playBtn.style.display = 'inline-block';
-                    pauseBtn.style.display = 'none';
-                    playBtn.textContent = '🔀 Play Random';
-                    playBtn.style.backgroundColor = 'rgba(255,255,255,0.2)';
-                    if (sys.audio.src) {
-                        status.textContent = `Ready: ${getCurrentTrackName()}`;
-                    } else {
-                        status.textContent = 'Ready to play';
-                    }
-                    status.style.color = 'rgba(255, 255, 255, 0.9)';
-                    status.style.fontWeight = 'normal';
-                }
-            }
+    // Report what changed since the last call; safe to call as often as
+    // anything happens
+    function notify() {
+        const state = getState();
+        if (state.track !== lastTrack) {
+            const previousFile = lastTrack || null;
+            lastTrack = state.track;
+            emit('trackchange', {
+                file: state.track,
+                track: window.meraEnhancedAudioSystem.getTrack(state.track),
+                previousFile
+            });
+        }
+        if (state.volume !== lastVolume || state.muted !== lastMuted) {
+            lastVolume = state.volume;
+            lastMuted = state.muted;
+            emit('volumechange', { volume: state.volume, muted: state.muted });
         }
+        const key = JSON.stringify(state);
+        if (key !== lastStateKey) {
+            lastStateKey = key;
+            emit('statechange', state);
+        }
+    }
+    
+    // Shown as a toast by music_notice.js and in the views
+    function reportError(message, error) {
+        emit('error', { message, error: error || null });
     }
     
-    // Load and play track
-    async function playRandomTrack() {
+    function playbackErrorMessage(error) {
+        if (error.name === 'NotSupportedError') return 'Music file not found';
+        if (error.name === 'NotAllowedError') return 'The browser blocked autoplay: press Play to start the music';
+        return 'Error playing music';
+    }
+    
+    // Load and play the next (or previous) track from the queue
+    async function playFromQueue(step = 'next') {
         const sys = window.meraEnhancedAudioSystem;
         if (sys.activePlayer === 'popup') return; // Let popup handle it
         
-        const track = musicTracks[Math.floor(Math.random() * musicTracks.length)];
-        const musicPath = getMusicPath(track.file);
+        await sys.loadLibrary();
+        const track = sys.getTrack(step === 'previous' ? sys.queue.previous() : sys.queue.next());
+        if (!track) {
+            reportError('No tracks available');
+            return;
+        }
+        await startTrack(track);
+    }
+    
+    // A track picked from the library list
+    async function playFile(filename) {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.activePlayer === 'popup') return;
         
-        console.log(`🎵 Loading track from: ${musicPath}`);
+        await sys.loadLibrary();
+        const track = sys.getTrack(filename);
+        if (!track || !sys.queue.play(filename)) {
+            reportError('Track not found');
+            return;
+        }
+        await startTrack(track);
+    }
+    
+    async function startTrack(track) {
+        const sys = window.meraEnhancedAudioSystem;
+        try {
+            await sys.playTrack(track.file);
+            notify();
+            console.log(`🎵 Playing: ${track.name}`);
+        } catch (error) {
+            // A source that cannot be loaded rejects play() with NotSupportedError
+            notify();
+            reportError(playbackErrorMessage(error), error);
+            throw error;
+        }
+    }
+    
+    // Play button: resume what was playing before a reload, continue the
+    // loaded track, or start the queue
+    async function resumeOrStart() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.activePlayer === 'popup') return;
         
-        sys.audio.pause();
-        sys.audio.currentTime = 0;
-        sys.audio.src = musicPath;
-        sys.currentTrack = track.file;
+        const shouldRestore = playerState.get('wasPlaying', false) && 
+                             !sys.isPlaying && sys.audio.src;
         
-        return new Promise((resolve, reject) => {
-            const onCanPlay = async () => {
-                sys.audio.removeEventListener('canplaythrough', onCanPlay);
-                sys.audio.removeEventListener('error', onError);
-                
-                try {
-                    await sys.audio.play();
-                    sys.isPlaying = true;
-                    window.meraIsPlaying = true;
-                    updateUI();
-                    console.log(`🎵 Playing: ${track.name}`);
-                    resolve();
-                } catch (error) {
-                    console.error('Error playing music:', error);
-                    const status = document.getElementById('mera-top-status');
-                    if (status) status.textContent = 'Error playing music';
-                    sys.isPlaying = false;
-                    window.meraIsPlaying = false;
-                    updateUI();
-                    reject(error);
-                }
-            };
-            
-            const onError = (error) => {
-                sys.audio.removeEventListener('canplaythrough', onCanPlay);
-                sys.audio.removeEventListener('error', onError);
-                console.error('Audio loading error:', error);
-                const status = document.getElementById('mera-top-status');
-                if (status) status.textContent = 'Music file not found';
-                sys.isPlaying = false;
-                window.meraIsPlaying = false;
-                updateUI();
-                reject(error);
-            };
-            
-            sys.audio.addEventListener('canplaythrough', onCanPlay, { once: true });
-            sys.audio.addEventListener('error', onError, { once: true });
-            sys.audio.load();
-        });
+        if (shouldRestore) {
+            console.log('🎵 Resuming music from user interaction...');
+            const savedTime = playerState.get('time', 0);
+            sys.audio.currentTime = Math.max(0, savedTime - 1);
+            await sys.engine.resume();
+            sys.isPlaying = true;
+            sys.preloadNext();
+        } else if (sys.currentTrack && sys.audio.src) {
+            await sys.engine.resume();
+            sys.isPlaying = true;
+            sys.preloadNext();
+        } else {
+            await playFromQueue('next');
+        }
+        notify();
+    }
+    
+    // Previous button: a track well under way restarts before stepping back
+    function previousOrRestart() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.isPlaying && sys.audio.currentTime > 3) {
+            sys.audio.currentTime = 0;
+            return Promise.resolve();
+        }
+        return playFromQueue('previous');
+    }
+    
+    // Everything a view can ask of the player. Remote tabs send these names to
+    // the owning tab (music_sync.js), which runs them here.
+    const playerCommands = {
+        play: () => resumeOrStart(),
+        pause: () => pauseMusic(),
+        next: () => playFromQueue('next'),
+        previous: () => previousOrRestart(),
+        shuffle: () => {
+            const queue = window.meraEnhancedAudioSystem.queue;
+            queue.setShuffle(!queue.shuffle);
+        },
+        repeat: () => window.meraEnhancedAudioSystem.queue.cycleRepeat(),
+        volume: (volume) => setVolume(volume),
+        track: (filename) => playFile(filename),
+        crossfade: (seconds) => window.meraEnhancedAudioSystem.engine.setCrossfade(seconds),
+        mute: (muted) => setMuted(typeof muted === 'boolean' ? muted : !window.meraEnhancedAudioSystem.muted),
+        seek: (time) => {
+            const audio = window.meraEnhancedAudioSystem.audio;
+            if (!audio.src || !isFinite(time)) return;
+            audio.currentTime = isFinite(audio.duration) ? Math.min(Math.max(0, time), audio.duration) : Math.max(0, time);
+        }
+    };
+    
+    async function runCommand(command, arg) {
+        const sys = window.meraEnhancedAudioSystem;
+        if (!playerCommands[command]) {
+            throw new Error(`Unknown music command "${command}"; known: ${Object.keys(playerCommands).join(', ')}`);
+        }
+        if (sys.sync && sys.sync.hasRemoteOwner()) {
+            sys.sync.send(command, arg);
+            return;
+        }
+        // Nobody else is playing: this tab takes ownership
+        if (sys.sync && !sys.sync.isOwner && !['volume', 'mute', 'seek', 'crossfade'].includes(command)) sys.sync.claim();
+        try {
+            await playerCommands[command](arg);
+        } catch (error) {
+            console.error(`🎵 Command "${command}" failed:`, error);
+        }
+        notify();
+        if (sys.sync) sys.sync.publishState();
     }
     
     // Pause music
     function pauseMusic() {
         const sys = window.meraEnhancedAudioSystem;
         if (sys.activePlayer === 'topbar') {
-            sys.audio.pause();
-            sys.isPlaying = false;
-            window.meraIsPlaying = false;
-            updateUI();
+            sys.pause();
+            notify();
         }
     }
     
-    // Set volume
+    // Set volume; views hear it as 'volumechange'. Turning it up unmutes.
     function setVolume(volume) {
         const sys = window.meraEnhancedAudioSystem;
         sys.volume = volume;
-        sys.audio.volume = volume;
-        
-        const volumeDisplay = document.getElementById('mera-top-volume-display');
-        if (volumeDisplay) {
-            volumeDisplay.textContent = `${Math.round(volume * 100)}%`;
-        }
+        if (volume > 0) sys.muted = false;
+        sys.engine.setVolume(sys.outputVolume());
+        playerState.update({ volume, muted: sys.muted });
+        notify();
+    }
+    
+    function setMuted(muted) {
+        const sys = window.meraEnhancedAudioSystem;
+        sys.muted = muted;
+        sys.engine.setVolume(sys.outputVolume());
+        playerState.set('muted', muted);
+        notify();
     }
     
-    // NEW: Open popup with seamless transfer
+    // Serves assets/popup_music_player.html as a real page; everything after
+    // window.open() happens over the message channel (music_protocol.js)
     function openMusicPopup() {
         const sys = window.meraEnhancedAudioSystem;
         
         // Create popup window
-        const popup = window.open('', 'MeraMusicPlayer', 
-            'width=450,height=650,scrollbars=no,resizable=yes,status=no,toolbar=no,menubar=no,left=100,top=100');
+        const popup = window.open(resolveAsset('assets/popup_music_player.html'), 'MeraMusicPlayer', 
+            'width=450,height=820,scrollbars=no,resizable=yes,status=no,toolbar=no,menubar=no,left=100,top=100');
         
         if (!popup) {
-            alert('Please allow popups for this site to use the music player');
+            reportError('Please allow popups for this site to use the music player');
             return;
         }
         
         sys.popupWindow = popup;
         
-        // Create popup content
-        const popupHTML = `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>MERA.jl Ambient Music Player</title>
-                <style>
-                    body {
-                        font-family: system-ui, -apple-system, sans-serif;
-                        margin: 0;
-                        padding: 20px;
-                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                        color: white;
-                        min-height: calc(100vh - 40px);
-                    }
-                    
-                    .popup-header {
-                        text-align: center;
-                        margin-bottom: 30px;
-                    }
-                    
-                    .popup-header h1 {
-                        margin: 0 0 10px 0;
-                        font-size: 24px;
-                        font-weight: 300;
-                    }
-                    
-                    .popup-header p {
-                        margin: 0;
-                        opacity: 0.9;
-                        font-size: 14px;
-                    }
-                    
-                    .popup-player {
-                        background: rgba(255, 255, 255, 0.1);
-                        border-radius: 12px;
-                        padding: 25px;
-                        backdrop-filter: blur(10px);
-                        border: 1px solid rgba(255, 255, 255, 0.2);
-                    }
-                    
-                    .popup-controls {
-                        display: flex;
-                        gap: 12px;
-                        margin-bottom: 20px;
-                    }
-                    
-                    .popup-btn {
-                        flex: 1;
-                        padding: 12px;
-                        background: rgba(255, 255, 255, 0.2);
-                        color: white;
-                        border: 1px solid rgba(255, 255, 255, 0.3);
-                        border-radius: 8px;
-                        cursor: pointer;
-                        font-size: 14px;
-                        transition: all 0.2s;
-                    }
-                    
-                    .popup-btn:hover {
-                        background: rgba(255, 255, 255, 0.3);
-                    }
-                    
-                    .popup-btn:disabled {
-                        opacity: 0.5;
-                        cursor: not-allowed;
-                    }
-                    
-                    .popup-volume {
-                        margin-bottom: 20px;
-                    }
-                    
-                    .popup-volume label {
-                        display: block;
-                        margin-bottom: 8px;
-                        font-size: 14px;
-                        opacity: 0.9;
-                    }
-                    
-                    .popup-volume input {
-                        width: 100%;
-                        margin-bottom: 5px;
-                    }
-                    
-                    .popup-volume-display {
-                        text-align: center;
-                        font-size: 12px;
-                        opacity: 0.8;
-                    }
-                    
-                    .popup-status {
-                        text-align: center;
-                        padding: 15px;
-                        background: rgba(255, 255, 255, 0.1);
-                        border-radius: 8px;
-                        font-size: 14px;
-                        line-height: 1.4;
-                    }
-                    
-                    .popup-track-list {
-                        margin-top: 25px;
-                        max-height: 200px;
-                        overflow-y: auto;
-                        background: rgba(255, 255, 255, 0.1);
-                        border-radius: 8px;
-                        padding: 15px;
-                    }
-                    
-                    .popup-track-item {
-                        padding: 8px 12px;
-                        margin: 2px 0;
-                        background: rgba(255, 255, 255, 0.1);
-                        border-radius: 6px;
-                        cursor: pointer;
-                        font-size: 12px;
-                        transition: background 0.2s;
-                    }
-                    
-                    .popup-track-item:hover {
-                        background: rgba(255, 255, 255, 0.2);
-                    }
-                    
-                    .popup-track-item.active {
-                        background: rgba(255, 255, 255, 0.3);
-                        font-weight: bold;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="popup-header">
-                    <h1>🎵 MERA.jl</h1>
-                    <p>Astrophysical Ambient Music for Data Analysis</p>
-                </div>
-                
-                <div class="popup-player">
-                    <div class="popup-controls">
-                        <button class="popup-btn" onclick="popupPlayer.playRandomTrack()">🔀 Random</button>
-                        <button id="popup-play-pause" class="popup-btn" onclick="popupPlayer.togglePlayPause()">▶️ Play</button>
-                        <button class="popup-btn" onclick="popupPlayer.returnToMain()">↩️ Return</button>
-                    </div>
-                    
-                    <div class="popup-volume">
-                        <label for="popup-volume">🔊 Volume</label>
-                        <input type="range" id="popup-volume" min="0" max="100" value="15" 
-                               onchange="popupPlayer.updateVolume(this.value)">
-                        <div class="popup-volume-display" id="popup-volume-display">15%</div>
-                    </div>
-                    
-                    <div id="popup-status" class="popup-status">
-                        Initializing...
-                    </div>
-                    
-                    <div class="popup-track-list">
-                        <div style="font-size: 12px; opacity: 0.8; margin-bottom: 10px; text-align: center;">
-                            🌌 Ambient Track Library
-                        </div>
-                        <div id="track-list-container">
-                            <!-- Tracks will be loaded here -->
-                        </div>
-                    </div>
-                </div>
-                
-                <script>
-                    class PopupMusicPlayer {
-                        constructor() {
-                            this.audio = new Audio();
-                            this.isPlaying = false;
-                            this.currentTrack = null;
-                            this.volume = 0.15;
-                            this.musicLibrary = [];
-                            
-                            this.audio.volume = this.volume;
-                            this.audio.loop = false;
-                            
-                            // Add event listener for track end to play next random track
-                            this.audio.addEventListener('ended', () => {
-                                this.playRandomTrack();
-                            });
-                            
-                            // Setup audio event listeners
-                            this.audio.addEventListener('play', () => {
-                                this.isPlaying = true;
-                                this.updateUI();
-                                this.notifyParent();
-                            });
-                            
-                            this.audio.addEventListener('pause', () => {
-                                this.isPlaying = false;
-                                this.updateUI();
-                                this.notifyParent();
-                            });
-                            
-                            this.audio.addEventListener('timeupdate', () => {
-                                this.notifyParent();
-                            });
-                            
-                            // Request initialization from parent
-                            if (window.opener) {
-                                window.opener.postMessage({ type: 'popupReady' }, '*');
-                            }
-                            
-                            // Handle popup close
-                            window.addEventListener('beforeunload', () => {
-                                this.returnToMain();
-                            });
-                        }
-                        
-                        initialize(state, musicLibrary) {
-                            console.log('🎵 Initializing popup with state:', state);
-                            this.musicLibrary = musicLibrary;
-                            this.volume = state.volume || 0.15;
-                            
-                            // Update volume UI
-                            document.getElementById('popup-volume').value = Math.round(this.volume * 100);
-                            document.getElementById('popup-volume-display').textContent = Math.round(this.volume * 100) + '%';
-                            
-                            // Create track list
-                            this.createTrackList();
-                            
-                            // Load current track if exists
-                            if (state.track) {
-                                this.loadTrack(state.track, state.currentTime || 0);
-                                this.currentTrack = state.track;
-                                
-                                if (state.isPlaying) {
-                                    this.audio.play().then(() => {
-                                        console.log('🎵 Popup playback started');
-                                    }).catch(e => {
-                                        console.error('🎵 Popup playback failed:', e);
-                                    });
-                                } else {
-                                    this.updateStatus(\`⏸️ Paused: \${state.trackName}\`);
-                                }
-                            } else {
-                                this.updateStatus('Click Random to start music');
-                            }
-                            
-                            this.updateUI();
-                        }
-                        
-                        loadTrack(filename, startTime = 0) {
-                            const musicPath = this.calculateMusicPath(filename);
-                            console.log(\`🎵 Loading in popup: \${musicPath} (start time: \${startTime})\`);
-                            
-                            this.audio.src = musicPath;
-                            this.audio.currentTime = startTime;
-                            this.currentTrack = filename;
-                            
-                            // Add load event listener to debug loading issues
-                            this.audio.addEventListener('loadstart', () => {
-                                console.log(\`🎵 Started loading: \${musicPath}\`);
-                            });
-                            
-                            this.audio.addEventListener('canplay', () => {
-                                console.log(\`🎵 Can play: \${musicPath}\`);
-                            });
-                            
-                            this.audio.addEventListener('error', (e) => {
-                                console.error(\`🎵 Audio loading error for \${musicPath}:\`, e);
-                            });
-                        }
-                        
-                        calculateMusicPath(filename) {
-                            // Use same logic as parent window
-                            if (window.opener && window.opener.meraGetMusicPath) {
-                                return window.opener.meraGetMusicPath(filename);
-                            }
-                            
-                            // Fallback path calculation for popup
-                            const parentUrl = window.opener ? window.opener.location.href : '';
-                            const parentPath = window.opener ? window.opener.location.pathname : '';
-                            
-                            // Handle local file:// protocol
-                            if (parentUrl.startsWith('file://')) {
-                                const pathSegments = parentPath.split('/');
-                                const buildIndex = pathSegments.indexOf('build');
-                                
-                                if (buildIndex !== -1 && pathSegments.length > buildIndex + 1) {
-                                    const levelsDeep = pathSegments.length - buildIndex - 2;
-                                    if (levelsDeep > 0) {
-                                        const backPath = '../'.repeat(levelsDeep);
-                                        return \`\${backPath}assets/music/\${filename}\`;
-                                    } else {
-                                        return \`assets/music/\${filename}\`;
-                                    }
-                                } else {
-                                    return \`assets/music/\${filename}\`;
-                                }
-                            }
-                            
-                            // Handle web URLs (GitHub Pages, etc.)
-                            if (parentPath === '/' || parentPath.endsWith('/index.html') || parentPath === '/Mera.jl/' || parentPath === '/Mera.jl/dev/' || parentPath.endsWith('/dev/')) {
-                                return \`assets/music/\${filename}\`;
-                            } else if (parentPath.includes('/Mera.jl/dev/')) {
-                                const pathAfterDev = parentPath.split('/dev/')[1];
-                                if (pathAfterDev) {
-                                    const pathSegments = pathAfterDev.split('/').filter(segment => segment);
-                                    const levelsDeep = pathSegments.length > 0 && !pathSegments[pathSegments.length - 1].includes('.') ? 
-                                                     pathSegments.length : pathSegments.length - 1;
-                                    const backPath = '../'.repeat(Math.max(0, levelsDeep));
-                                    return \`\${backPath}assets/music/\${filename}\`;
-                                } else {
-                                    return \`assets/music/\${filename}\`;
-                                }
-                            } else if (parentPath.includes('/Mera.jl/')) {
-                                const pathSegments = parentPath.split('/').filter(segment => segment && segment !== 'Mera.jl');
-                                const backPath = '../'.repeat(Math.max(0, pathSegments.length - 1));
-                                return \`\${backPath}assets/music/\${filename}\`;
-                            } else {
-                                return \`/assets/music/\${filename}\`;
-                            }
-                        }
-                        
-                        createTrackList() {
-                            const container = document.getElementById('track-list-container');
-                            container.innerHTML = this.musicLibrary.map((track, index) => 
-                                \`<div class="popup-track-item" onclick="popupPlayer.playTrack(\${index})">
-                                    \${track.name}
-                                </div>\`
-                            ).join('');
-                        }
-                        
-                        playTrack(index) {
-                            console.log(\`🎵 Popup playTrack called with index: \${index}\`);
-                            const track = this.musicLibrary[index];
-                            if (track) {
-                                console.log(\`🎵 Playing track: \${track.name} (\${track.file})\`);
-                                this.loadTrack(track.file);
-                                
-                                // Add error handling and better promise handling
-                                this.audio.play().then(() => {
-                                    console.log(\`🎵 Successfully started playing: \${track.name}\`);
-                                    this.updateStatus(\`🎵 Playing: \${track.name}\`);
-                                    this.updateTrackHighlight(track.name);
-                                }).catch(error => {
-                                    console.error(\`🎵 Failed to play track: \${track.name}\`, error);
-                                    this.updateStatus(\`❌ Failed to play: \${track.name}\`);
-                                    
-                                    // Try alternative path
-                                    const altPath = \`assets/music/\${track.file}\`;
-                                    console.log(\`🎵 Trying alternative path: \${altPath}\`);
-                                    this.audio.src = altPath;
-                                    this.audio.play().then(() => {
-                                        console.log(\`🎵 Alternative path worked: \${altPath}\`);
-                                        this.updateStatus(\`🎵 Playing: \${track.name}\`);
-                                        this.updateTrackHighlight(track.name);
-                                    }).catch(altError => {
-                                        console.error(\`🎵 Alternative path also failed: \${altPath}\`, altError);
-                                        this.updateStatus(\`❌ Music file not accessible: \${track.name}\`);
-                                    });
-                                });
-                            } else {
-                                console.error(\`🎵 No track found at index: \${index}\`);
-                                this.updateStatus('❌ Track not found');
-                            }
-                        }
-                        
-                        playRandomTrack() {
-                            console.log(\`🎵 Popup playRandomTrack called, library size: \${this.musicLibrary.length}\`);
-                            if (this.musicLibrary.length > 0) {
-                                const randomIndex = Math.floor(Math.random() * this.musicLibrary.length);
-                                console.log(\`🎵 Selected random index: \${randomIndex}\`);
-                                this.updateStatus('🔀 Selecting random track...');
-                                this.playTrack(randomIndex);
-                            } else {
-                                console.error('🎵 Music library is empty!');
-                                this.updateStatus('❌ No tracks available');
-                            }
-                        }
-                        
-                        togglePlayPause() {
-                            if (!this.currentTrack) {
-                                this.playRandomTrack();
-                                return;
-                            }
-                            
-                            if (this.isPlaying) {
-                                this.audio.pause();
-                            } else {
-                                this.audio.play();
-                            }
-                        }
-                        
-                        updateVolume(value) {
-                            this.volume = value / 100;
-                            this.audio.volume = this.volume;
-                            document.getElementById('popup-volume-display').textContent = value + '%';
-                        }
-                        
-                        updateStatus(message) {
-                            document.getElementById('popup-status').innerHTML = message;
-                        }
-                        
-                        updateUI() {
-                            const playPauseBtn = document.getElementById('popup-play-pause');
-                            if (playPauseBtn) {
-                                playPauseBtn.textContent = this.isPlaying ? '⏸️ Pause' : '▶️ Play';
-                            }
-                            
-                            if (this.currentTrack && this.isPlaying) {
-                                const trackName = this.getTrackDisplayName(this.currentTrack);
-                                this.updateStatus(\`🎵 Playing: \${trackName}\`);
-                                this.updateTrackHighlight(trackName);
-                            }
-                        }
-                        
-                        updateTrackHighlight(trackName) {
-                            document.querySelectorAll('.popup-track-item').forEach(item => {
-                                item.classList.toggle('active', item.textContent.trim() === trackName);
-                            });
-                        }
-                        
-                        getTrackDisplayName(filename) {
-                            if (!filename) return 'Unknown Track';
-                            return filename.replace(/\\.(wav|mp3)$/, '').replace(/_/g, ' ')
-                                .split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-                        }
-                        
-                        returnToMain() {
-                            const transferState = {
-                                track: this.currentTrack,
-                                isPlaying: this.isPlaying,
-                                currentTime: this.audio.currentTime || 0,
-                                volume: this.volume
-                            };
-                            
-                            // Pause audio
-                            this.audio.pause();
-                            
-                            // Send state to parent
-                            if (window.opener) {
-                                window.opener.postMessage({
-                                    type: 'transferFromPopup',
-                                    state: transferState
-                                }, '*');
-                            }
-                            
-                            window.close();
-                        }
-                        
-                        notifyParent() {
-                            if (window.opener) {
-                                window.opener.postMessage({
-                                    type: 'popupStateUpdate',
-                                    currentTime: this.audio.currentTime,
-                                    isPlaying: this.isPlaying
-                                }, '*');
-                            }
-                        }
-                    }
-                    
-                    // Initialize popup player
-                    const popupPlayer = new PopupMusicPlayer();
-                    
-                    // Listen for initialization message
-                    window.addEventListener('message', (event) => {
-                        if (event.data.type === 'initializePopup') {
-                            popupPlayer.initialize(event.data.state, event.data.musicLibrary);
-                        }
-                    });
-                </script>
-            </body>
-            </html>
-        `;
-        
-        popup.document.write(popupHTML);
-        popup.document.close();
-        
-        // Handle popup close
-        popup.addEventListener('beforeunload', () => {
-            if (sys.activePlayer === 'popup') {
-                sys.activePlayer = 'topbar';
+        // A popup that never says hello (blocked script, wrong page) would leave
+        // the bar waiting for it forever
+        clearTimeout(sys.popupHandshakeTimer);
+        sys.popupHandshakeTimer = setTimeout(() => {
+            if (sys.popupWindow === popup && sys.activePlayer !== 'popup') {
+                console.error('🎵 Music popup did not answer, closing it');
+                popup.close();
                 sys.popupWindow = null;
-                updateUI();
+                notify();
             }
-        });
+        }, POPUP_HANDSHAKE_MS);
         
         console.log('🎵 Music popup opened');
     }
     
-    // Create the enhanced persistent top bar
-    function createTopBar() {
-        if (document.getElementById('mera-top-bar')) {
+    // Open the popup, or close it and continue in the top bar (its 'bye'
+    // message hands the playback back)
+    function togglePopup() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (inPopup) {
+            returnToPage();
             return;
         }
+        if (sys.activePlayer === 'popup') {
+            if (sys.popupWindow && !sys.popupWindow.closed) {
+                sys.popupWindow.close();
+                return;
+            }
+            // A popup inherited from a closed tab: carry on here, paused
+            // where it last was
+            sys.activePlayer = 'topbar';
+            sys.isPlaying = false;
+            if (sys.currentTrack) {
+                sys.setSource(sys.currentTrack, sys.currentTime).catch(e => console.log('🎵 Could not load the track:', e.message));
+            }
+            notify();
+            return;
+        }
+        if (sys.sync && sys.sync.hasRemoteOwner()) return;
+        openMusicPopup();
+    }
+    
+    // Hardware media keys and OS media overlays (music_media_session.js).
+    // Only the window playing publishes: a docs tab, or the popup.
+    function startMediaSession() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.mediaSession || !window.MeraMediaSession) return;
         
-        const topBar = document.createElement('div');
-        topBar.id = 'mera-top-bar';
-        topBar.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            height: 45px;
-            background: linear-gradient(135deg, rgba(102, 126, 234, 0.95) 0%, rgba(118, 75, 162, 0.95) 100%);
-            z-index: 999999;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-            padding: 0 20px;
-            backdrop-filter: blur(10px);
-            border-bottom: 1px solid rgba(255,255,255,0.2);
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            box-sizing: border-box;
-        `;
-        
-        topBar.innerHTML = `
-            <div style="display: flex; align-items: center; gap: 15px;">
-                <span style="color: white; font-weight: 600; font-size: 14px;">🎵 MERA Study Music</span>
-                <button id="mera-top-play-btn" style="
-                    padding: 4px 12px;
-                    background: rgba(255,255,255,0.2);
-                    border: 1px solid rgba(255,255,255,0.3);
-                    border-radius: 4px;
-                    color: white;
-                    cursor: pointer;
-                    font-size: 12px;
-                    border: none;
-                    outline: none;
-                ">🔀 Play Random</button>
-                <button id="mera-top-pause-btn" style="
-                    padding: 4px 12px;
-                    background: rgba(255,255,255,0.2);
-                    border: 1px solid rgba(255,255,255,0.3);
-                    border-radius: 4px;
-                    color: white;
-                    cursor: pointer;
-                    font-size: 12px;
-                    border: none;
-                    outline: none;
-                    display: none;
-                ">⏸️ Pause</button>
-                <button id="mera-popup-btn" style="
-                    padding: 4px 8px;
-                    background: rgba(255,255,255,0.15);
-                    border: 1px solid rgba(255,255,255,0.25);
-                    border-radius: 4px;
-                    color: rgba(255,255,255,0.9);
-                    cursor: pointer;
-                    font-size: 11px;
-                    border: none;
-                    outline: none;
-                " title="Open music player in popup window for seamless listening">🪟 Popup</button>
-            </div>
-            <div style="display: flex; align-items: center; gap: 10px;">
-                <span id="mera-top-status" style="color: rgba(255,255,255,0.9); font-size: 12px;">Ready to play</span>
-                <input type="range" id="mera-top-volume" min="0" max="100" value="15" style="
-                    width: 80px;
-                    height: 4px;
-                    background: rgba(255,255,255,0.3);
-                    outline: none;
-                    border-radius: 2px;
-                    -webkit-appearance: none;
-                ">
-                <span id="mera-top-volume-display" style="color: rgba(255,255,255,0.9); font-size: 12px;">15%</span>
-            </div>
-        `;
-        
-        document.body.insertBefore(topBar, document.body.firstChild);
-        document.body.style.paddingTop = '45px';
-        
-        setupEventListeners();
-        updateUI();
-        
-        console.log('🎵 Enhanced persistent music player top bar created');
+        sys.mediaSession = new window.MeraMediaSession({
+            actions: {
+                play: () => runCommand('play'),
+                pause: () => runCommand('pause'),
+                stop: () => runCommand('pause'),
+                previoustrack: () => runCommand('previous'),
+                nexttrack: () => runCommand('next'),
+                seekto: (time) => runCommand('seek', time)
+            },
+            getPosition: () => ({ duration: sys.audio.duration, position: sys.audio.currentTime }),
+            artworkBase: resolveAsset('assets/music/')
+        });
+        on('statechange', updateMediaSession);
+        sys.engine.addEventListener('seeked', updateMediaSession);
+        sys.engine.addEventListener('durationchange', updateMediaSession);
+    }
+    
+    function updateMediaSession() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (!sys.mediaSession) return;
+        const state = getState();
+        const local = state.mode === 'local' && state.track;
+        sys.mediaSession.update(local ? sys.getTrack(state.track) : null, state.isPlaying);
     }
     
-    // Enhanced event listeners with popup support
-    function setupEventListeners() {
-        const playBtn = document.getElementById('mera-top-play-btn');
-        const pauseBtn = document.getElementById('mera-top-pause-btn');
-        const volumeSlider = document.getElementById('mera-top-volume');
-        const popupBtn = document.getElementById('mera-popup-btn');
+    // Keyboard shortcuts (music_shortcuts.js); remote tabs forward them to the
+    // owning tab like button presses
+    function startShortcuts() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.shortcuts || !window.MeraShortcuts) return;
         
-        if (playBtn) {
-            playBtn.addEventListener('click', async () => {
-                const sys = window.meraEnhancedAudioSystem;
-                if (sys.activePlayer === 'popup') return;
-                
-                try {
-                    const shouldRestore = localStorage.getItem('mera-was-playing') === 'true' && 
-                                         !sys.isPlaying && sys.audio.src;
-                    
-                    if (shouldRestore) {
-                        console.log('🎵 Resuming music from user interaction...');
-                        const savedTime = parseFloat(localStorage.getItem('mera-audio-time') || '0');
-                        sys.audio.currentTime = Math.max(0, savedTime - 1);
-                        await sys.audio.play();
-                        sys.isPlaying = true;
-                        window.meraIsPlaying = true;
-                    } else {
-                        await playRandomTrack();
-                    }
-                    updateUI();
-                } catch (error) {
-                    console.error('🎵 Failed to start/resume music:', error);
+        sys.shortcuts = new window.MeraShortcuts((action) => {
+            const state = getState();
+            // While the popup plays, only the popup toggle applies here
+            if (state.mode === 'popup' && action !== 'popup') return;
+            switch (action) {
+                case 'playpause':
+                    runCommand(state.isPlaying ? 'pause' : 'play');
+                    break;
+                case 'next':
+                case 'previous':
+                    runCommand(action);
+                    break;
+                case 'volumeup':
+                case 'volumedown': {
+                    const step = action === 'volumeup' ? 0.05 : -0.05;
+                    const volume = Math.min(1, Math.max(0, Math.round((state.volume + step) * 100) / 100));
+                    runCommand('volume', volume);
+                    break;
                 }
-            });
-        }
+                case 'mute':
+                    runCommand('mute');
+                    break;
+                case 'popup':
+                    togglePopup();
+                    break;
+            }
+        });
+        sys.shortcuts.start();
+        window.meraMusicShortcuts = sys.shortcuts;
+    }
+    
+    // Focus sessions (music_focus.js): the countdown shows in every tab, but
+    // only the page playing the music pauses or resumes it
+    const FOCUS_BREAK_FADE = 3;   // seconds
+    const FOCUS_END_FADE = 8;     // seconds, session over or sleep timer
+    
+    function startFocusSession() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.focus || !window.MeraFocusSession) return;
+        sys.focus = new window.MeraFocusSession({
+            onEvent: handleFocusEvent,
+            onTick: (session) => emit('focustick', { session })
+        });
+    }
+    
+    function handleFocusEvent(event, session) {
+        const sys = window.meraEnhancedAudioSystem;
+        console.log(`🍅 Focus session: ${event}`);
+        emit('focus', { event, session });
         
-        if (pauseBtn) {
-            pauseBtn.addEventListener('click', () => {
-                pauseMusic();
-            });
+        if (sys.activePlayer !== 'topbar' || !sys.ownsPlayback()) return;
+        let change = null;
+        if (event === 'break' && session.settings.pauseDuringBreaks && sys.isPlaying) {
+            session.setPausedByBreak(true);
+            change = sys.pause(FOCUS_BREAK_FADE);
+        } else if (event === 'work' && session.state.pausedByBreak) {
+            session.setPausedByBreak(false);
+            change = resumeOrStart();
+        } else if ((event === 'end' || event === 'sleep') && sys.isPlaying) {
+            change = sys.pause(FOCUS_END_FADE);
         }
-        
-        if (volumeSlider) {
-            volumeSlider.addEventListener('input', function(e) {
-                setVolume(e.target.value / 100);
+        if (change) {
+            change.catch(error => {
+                console.log('🍅 Focus session could not change playback:', error.message);
+                reportError(playbackErrorMessage(error), error);
+            }).then(() => {
+                notify();
+                if (sys.sync) sys.sync.publishState();
             });
         }
+    }
+    
+    // Join the other docs tabs: one owns playback, the rest are remote controls
+    function startTabSync() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (sys.sync || !window.MeraTabSync) return;
         
-        // NEW: Enhanced popup button with transfer functionality
-        if (popupBtn) {
-            popupBtn.addEventListener('click', () => {
-                const sys = window.meraEnhancedAudioSystem;
-                if (sys.activePlayer === 'popup') return;
-                
-                openMusicPopup();
-            });
-            
-            popupBtn.addEventListener('mouseenter', () => {
-                const sys = window.meraEnhancedAudioSystem;
-                if (sys.activePlayer !== 'popup') {
-                    popupBtn.style.background = 'rgba(255,255,255,0.25)';
+        sys.sync = new window.MeraTabSync({
+            getState: () => sys.getCurrentState(),
+            onCommand: (command, arg) => {
+                if (playerCommands[command]) runCommand(command, arg);
+            },
+            onRemoteState: () => notify(),
+            onOwnershipChange: (isOwner) => {
+                if (!isOwner && !sys.audio.paused) {
+                    // Another tab won a simultaneous start; it keeps the music
+                    sys.engine.stop();
+                    sys.isPlaying = false;
                 }
-            });
-            
-            popupBtn.addEventListener('mouseleave', () => {
-                const sys = window.meraEnhancedAudioSystem;
-                if (sys.activePlayer !== 'popup') {
-                    popupBtn.style.background = 'rgba(255,255,255,0.15)';
+                notify();
+            },
+            onHandover: (state) => {
+                console.log(`🎵 Taking over playback from a closed tab: ${state.track}`);
+                if (state.queue) {
+                    sys.queue.restore(state.queue);
+                    sys.queue.save();
                 }
+                if (!state.track) return;
+                sys.currentTrack = state.track;
+                setVolume(state.volume);
+                setMuted(!!state.muted);
+                playerState.update({ wasPlaying: true, track: state.track, time: state.currentTime || 0 });
+                // Without a user gesture in this tab the browser may refuse;
+                // the views then offer "Resume Music"
+                sys.setSource(state.track, state.currentTime || 0)
+                    .then(() => sys.engine.resume())
+                    .catch(error => {
+                        console.log('🎵 Handover needs a click to resume:', error.message);
+                        reportError(playbackErrorMessage(error), error);
+                    })
+                    .then(notify);
+                notify();
+            },
+            // The closed tab's popup plays on, out of reach (it only talks to
+            // the tab that opened it): show what it played last
+            onPopupHandover: (state) => {
+                console.log('🎵 Took over from a closed tab; its popup keeps playing');
+                if (state.queue) {
+                    sys.queue.restore(state.queue);
+                    sys.queue.save();
+                }
+                sys.activePlayer = 'popup';
+                sys.popupWindow = null;
+                sys.currentTrack = state.track || '';
+                sys.currentTime = state.currentTime || 0;
+                sys.isPlaying = !!state.isPlaying;
+                if (typeof state.volume === 'number') sys.volume = state.volume;
+                sys.muted = !!state.muted;
+                notify();
+            }
+        });
+        sys.sync.start();
+    }
+    
+    // Popup window: ask the opening page for its state and play on from it,
+    // keep the page told what plays, and hand the music back when done
+    const POSITION_NOTIFY_MS = 1000;
+    const popupLink = { channel: null, connected: false, returned: false };
+    
+    function tellPage(type = 'state') {
+        const sys = window.meraEnhancedAudioSystem;
+        if (popupLink.connected && !popupLink.returned) {
+            popupLink.channel.notify(window.opener, type, { state: sys.getCurrentState() });
+        }
+    }
+    
+    function startPopupClient() {
+        const sys = window.meraEnhancedAudioSystem;
+        if (!window.opener) {
+            reportError('Open the player from the MERA.jl documentation');
+            return Promise.resolve();
+        }
+        // Only the documentation tab that opened this window may talk to it;
+        // it stays window.opener across its navigations
+        popupLink.channel = new window.MeraMessageChannel({
+            acceptSource: source => !!source && source === window.opener
+        });
+        
+        on('statechange', () => tellPage());
+        // The page only needs the position for a later hand-back
+        let lastPositionNotice = 0;
+        sys.engine.addEventListener('timeupdate', () => {
+            const now = Date.now();
+            if (now - lastPositionNotice >= POSITION_NOTIFY_MS) {
+                lastPositionNotice = now;
+                tellPage();
+            }
+        });
+        // Closed without "Return": the documentation page carries on
+        window.addEventListener('pagehide', () => {
+            if (popupLink.connected && !popupLink.returned) {
+                sys.engine.stop();
+                tellPage('bye');
+            }
+        });
+        
+        return popupLink.channel.request(window.opener, 'hello', {}, { timeout: POPUP_HANDSHAKE_MS })
+            .then(({ state }) => {
+                popupLink.connected = true;
+                console.log('🎵 Popup took over from the documentation page');
+                return sys.adopt(state || {});
+            })
+            .catch(error => {
+                console.error('🎵 Popup handshake failed:', error);
+                reportError('The documentation page did not answer', error);
             });
+    }
+    
+    // The page closes this window once it has taken over; close it here if
+    // the page is gone
+    function returnToPage() {
+        const sys = window.meraEnhancedAudioSystem;
+        const state = sys.getCurrentState();
+        sys.engine.stop();
+        popupLink.returned = true;
+        if (!popupLink.connected) {
+            window.close();
+            return;
+        }
+        popupLink.channel.request(window.opener, 'return', { state })
+            .catch(error => console.error('🎵 Return to the documentation failed:', error))
+            .then(() => window.close());
+    }
+    
+    function mountView(view) {
+        try {
+            window.meraPerf.measure(`view:${view.name || 'unnamed'}`, () => view.mount(api));
+            console.log(`🎵 Music view mounted: ${view.name || 'unnamed'}`);
+        } catch (error) {
+            console.error(`🎵 Music view "${view.name || 'unnamed'}" failed to mount:`, error);
         }
     }
     
+    // Views register when their script runs (after this one) and are
+    // mounted once the page is ready; later ones are mounted at once
+    function registerView(view) {
+        views.push(view);
+        if (viewsMounted) mountView(view);
+    }
+    
+    const api = {
+        on,
+        off,
+        play: () => runCommand('play'),
+        pause: () => runCommand('pause'),
+        toggle: () => runCommand(getState().isPlaying ? 'pause' : 'play'),
+        next: () => runCommand('next'),
+        previous: () => runCommand('previous'),
+        setVolume: (volume) => runCommand('volume', Math.min(1, Math.max(0, Number(volume) || 0))),
+        toggleMute: () => runCommand('mute'),
+        seek: (time) => runCommand('seek', Number(time)),
+        playFile: (filename) => runCommand('track', filename),
+        setCrossfade: (seconds) => runCommand('crossfade', Math.max(0, Number(seconds) || 0)),
+        command: runCommand,
+        togglePopup,
+        getState,
+        getTrack: (filename) => window.meraEnhancedAudioSystem.getTrack(filename),
+        getLibrary: () => window.meraEnhancedAudioSystem.library.slice(),
+        getAnalyser: () => window.meraEnhancedAudioSystem.engine.getAnalyser(),
+        get hasAnalyser() {
+            return window.meraEnhancedAudioSystem.engine.useWebAudio;
+        },
+        get localTracks() {
+            return window.meraEnhancedAudioSystem.localTracks;
+        },
+        registerView,
+        get focus() {
+            return window.meraEnhancedAudioSystem.focus || null;
+        },
+        get shortcuts() {
+            return window.meraEnhancedAudioSystem.shortcuts || null;
+        }
+    };
+    
     // Enhanced initialization with popup support
     async function initialize() {
-        createTopBar();
-        
-        // Try to restore previous audio state
         const sys = window.meraEnhancedAudioSystem;
-        const savedState = localStorage.getItem('mera-was-playing');
-        const savedTrack = localStorage.getItem('mera-current-track');
-        const savedTime = parseFloat(localStorage.getItem('mera-audio-time') || '0');
+        if (!inPopup) startTabSync();
+        startMediaSession();
+        startShortcuts();
+        startFocusSession();
+        
+        // Try to restore previous audio state, unless another tab is playing
+        // it; the popup plays on from the page that opened it instead
+        const savedState = playerState.get('wasPlaying', false);
+        const savedTrack = playerState.get('track', '');
+        const savedTime = playerState.get('time', 0);
         
-        if (savedState === 'true' && savedTrack) {
+        let restored = null;
+        if (inPopup) {
+            restored = startPopupClient();
+        } else if (savedState && savedTrack && !(sys.sync && sys.sync.hasRemoteOwner())) {
             console.log(`🎵 Enhanced player - attempting to restore: ${savedTrack} at ${savedTime}s`);
-            const path = getMusicPath(savedTrack);
-            sys.audio.src = path;
             sys.currentTrack = savedTrack;
-            sys.audio.currentTime = Math.max(0, savedTime - 1);
-            
-            // Don't auto-play, just prepare for resume
+            // Don't auto-play, just prepare for resume. An imported track
+            // that was deleted meanwhile is simply not restored.
             sys.isPlaying = false;
+            restored = sys.setSource(savedTrack, Math.max(0, savedTime - 1))
+                .then(notify)
+                .catch(e => console.log(`🎵 Could not restore ${savedTrack}:`, e.message));
         }
         
-        updateUI();
-        
-        // Monitor for navigation and recreate if needed
-        let currentUrl = window.location.href;
-        
-        const checkForNavigation = async () => {
-            const newUrl = window.location.href;
-            if (newUrl !== currentUrl) {
-                currentUrl = newUrl;
-                console.log(`🎵 Enhanced player navigation: ${newUrl}`);
-                
-                setTimeout(() => {
-                    if (!document.getElementById('mera-top-bar')) {
-                        console.log('🎵 Recreating enhanced player UI...');
-                        createTopBar();
-                    }
-                    updateUI();
-                }, 50);
-            }
-        };
+        viewsMounted = true;
+        views.forEach(mountView);
+        notify();
+        sys.loadLibrary().then(notify);
         
-        setInterval(checkForNavigation, 500);
-        window.addEventListener('popstate', checkForNavigation);
-        window.addEventListener('hashchange', checkForNavigation);
+        // The queue advances on 'ended' without going through the views
+        ['play', 'pause', 'ended'].forEach(type => sys.engine.addEventListener(type, notify));
         
-        // DOM observer for recreation
-        if ('MutationObserver' in window) {
-            const observer = new MutationObserver(() => {
-                if (!document.getElementById('mera-top-bar')) {
-                    setTimeout(() => {
-                        if (!document.getElementById('mera-top-bar')) {
-                            createTopBar();
-                        }
-                    }, 50);
-                }
-            });
-            
-            observer.observe(document.body, { childList: true, subtree: true });
-        }
-        
-        // Periodic state saving
-        setInterval(() => {
-            if (sys.isPlaying && sys.activePlayer === 'topbar' && !sys.audio.paused) {
-                localStorage.setItem('mera-was-playing', 'true');
-                localStorage.setItem('mera-current-track', sys.currentTrack);
-                localStorage.setItem('mera-audio-time', sys.audio.currentTime.toString());
-            }
-        }, 2000);
+        // Listeners read getState().canResume, which needs the restored source
+        if (restored) await restored;
+        document.dispatchEvent(new CustomEvent('mera-music-ready', { detail: api }));
     }
     
+    window.meraMusic = api;
+    
     // Make path calculation globally available
     window.meraGetMusicPath = getMusicPath;
+    window.meraResolveAsset = resolveAsset;
     
     // Initialize
+    const start = () => window.meraPerf.measure('player', initialize);
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initialize);
+        document.addEventListener('DOMContentLoaded', start);
     } else {
-        initialize();
+        start();
     }
     
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,133 @@
+// MERA Study Music - popup message protocol
+// Typed, versioned postMessage protocol between a docs page and the popup
+// window (popup_music_player.html), both running the player core
+// (music_player.js). Every message is
+//
+//   { protocol: 'mera-music', version: 1, kind, type, id, replyTo?, payload, error? }
+//
+// kind is 'request' (expects a response with replyTo = its id), 'response'
+// or 'event' (fire and forget). Messages are only accepted from the expected
+// window and, where the page has a real origin, only from that same origin.
+//
+//   request  hello   popup -> page   response: { state }; the page stops playing
+//   request  return  popup -> page   hand playback back; response: {}
+//   event    state   popup -> page   { state } on every playback change
+//   event    bye     popup -> page   { state } the popup window is closing
+
+(function() {
+    'use strict';
+
+    const PROTOCOL = 'mera-music';
+    const VERSION = 1;
+    const MESSAGE_TYPES = {
+        request: ['hello', 'return'],
+        response: ['hello', 'return'],
+        event: ['state', 'bye']
+    };
+    const DEFAULT_TIMEOUT_MS = 5000;
+
+    // file:// pages have the opaque origin "null"; postMessage cannot target
+    // that, so there the source window check is the only guard
+    function targetOrigin() {
+        return window.location.origin === 'null' ? '*' : window.location.origin;
+    }
+
+    function isValidMessage(data) {
+        return !!data && typeof data === 'object' &&
+               data.protocol === PROTOCOL &&
+               data.version === VERSION &&
+               Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, data.kind) &&
+               MESSAGE_TYPES[data.kind].includes(data.type) &&
+               typeof data.id === 'string' &&
+               (data.payload === undefined || (typeof data.payload === 'object' && data.payload !== null));
+    }
+
+    class MeraMessageChannel {
+        // options:
+        //   acceptSource(source) - true if a message from this window is ours
+        //   onRequest(type, payload, source) - value or promise for the response
+        //   onEvent(type, payload, source)
+        constructor({ acceptSource, onRequest = () => ({}), onEvent = () => {} }) {
+            this.acceptSource = acceptSource;
+            this.onRequest = onRequest;
+            this.onEvent = onEvent;
+            this.pending = new Map();
+            this.counter = 0;
+            this.listener = (event) => this.receive(event);
+            window.addEventListener('message', this.listener);
+        }
+
+        // Send a request and wait for its response; rejects after `timeout` ms
+        request(target, type, payload = {}, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+            const id = this.nextId();
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(new Error(`No response to "${type}" within ${timeout} ms`));
+                }, timeout);
+                this.pending.set(id, { resolve, reject, timer });
+                this.post(target, { kind: 'request', type, id, payload });
+            });
+        }
+
+        notify(target, type, payload = {}) {
+            this.post(target, { kind: 'event', type, id: this.nextId(), payload });
+        }
+
+        close() {
+            window.removeEventListener('message', this.listener);
+            this.pending.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(new Error('Channel closed'));
+            });
+            this.pending.clear();
+        }
+
+        nextId() {
+            this.counter += 1;
+            return `${Date.now().toString(36)}-${this.counter}`;
+        }
+
+        post(target, message) {
+            if (!target || target.closed) return;
+            target.postMessage(Object.assign({ protocol: PROTOCOL, version: VERSION }, message), targetOrigin());
+        }
+
+        receive(event) {
+            if (window.location.origin !== 'null' && event.origin !== window.location.origin) return;
+            if (!isValidMessage(event.data)) return;
+            let accepted = false;
+            try {
+                accepted = this.acceptSource(event.source);
+            } catch (e) { /* cross-origin window */ }
+            if (!accepted) return;
+
+            const message = event.data;
+            const source = event.source;
+
+            if (message.kind === 'response') {
+                const pending = this.pending.get(message.replyTo);
+                if (!pending) return;
+                this.pending.delete(message.replyTo);
+                clearTimeout(pending.timer);
+                if (message.error) pending.reject(new Error(message.error));
+                else pending.resolve(message.payload || {});
+            } else if (message.kind === 'request') {
+                Promise.resolve()
+                    .then(() => this.onRequest(message.type, message.payload || {}, source))
+                    .then(result => {
+                        this.post(source, { kind: 'response', type: message.type, id: this.nextId(),
+                                            replyTo: message.id, payload: result || {} });
+                    })
+                    .catch(error => {
+                        this.post(source, { kind: 'response', type: message.type, id: this.nextId(),
+                                            replyTo: message.id, payload: {}, error: String(error.message || error) });
+                    });
+            } else {
+                this.onEvent(message.type, message.payload || {}, source);
+            }
+        }
+    }
+
+    window.MeraMessageChannel = MeraMessageChannel;
+})();
@@ -0,0 +1,185 @@
+// MERA Study Music - playback queue
+// Shuffle bag, play history, previous/next and repeat modes for the player
+// core (music_player.js), in the docs pages and in the popup. Saved in the
+// state store (mera_store.js) as player.queue.
+
+(function() {
+    'use strict';
+
+    const HISTORY_LIMIT = 50;
+    const REPEAT_MODES = ['all', 'one', 'off'];
+
+    function shuffled(list) {
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // The queue only deals in file names; the manifest maps them to metadata.
+    //   current   - the track loaded now ('' before the first play)
+    //   upcoming  - what is left of the current bag; refilled when empty
+    //   history   - played tracks, most recent last (drives previous())
+    //   future    - tracks stepped back over, so next() returns to them first
+    class MeraPlayQueue {
+        constructor(files = [], saved = null) {
+            this.files = files.slice();
+            this.current = '';
+            this.upcoming = [];
+            this.history = [];
+            this.future = [];
+            this.repeat = 'all';
+            this.shuffle = true;
+            if (saved) this.restore(saved);
+        }
+
+        setTracks(files) {
+            this.files = files.slice();
+            // An empty list means the manifest failed to load: keep the saved queue
+            if (!this.files.length) return;
+            const known = file => this.files.includes(file);
+            this.upcoming = this.upcoming.filter(known);
+            this.history = this.history.filter(known);
+            this.future = this.future.filter(known);
+            if (this.current && !known(this.current)) this.current = '';
+            this.save();
+        }
+
+        // Next track, or null when the queue has run out (repeat 'off').
+        // `auto` marks a track that ended by itself rather than a button press:
+        // only then does repeat-one replay and repeat-off stop at the bag's end.
+        next({ auto = false } = {}) {
+            if (!this.files.length) return null;
+            if (auto && this.repeat === 'one' && this.current) {
+                return this.current;
+            }
+
+            let file;
+            if (this.future.length) {
+                file = this.future.pop();
+            } else {
+                if (!this.upcoming.length) {
+                    if (auto && this.repeat === 'off' && this.current) return null;
+                    this.refill();
+                }
+                file = this.upcoming.shift();
+            }
+
+            this.pushHistory(this.current);
+            this.current = file;
+            this.save();
+            return file;
+        }
+
+        // The track next({ auto: true }) will return, without advancing; used to
+        // preload it while the current one plays
+        peek() {
+            if (!this.files.length) return null;
+            if (this.repeat === 'one' && this.current) return this.current;
+            if (this.future.length) return this.future[this.future.length - 1];
+            if (!this.upcoming.length) {
+                if (this.repeat === 'off' && this.current) return null;
+                this.refill();
+            }
+            return this.upcoming[0];
+        }
+
+        // Previous track from the history; the current one when there is none
+        previous() {
+            if (!this.history.length) return this.current || null;
+            if (this.current) this.future.push(this.current);
+            this.current = this.history.pop();
+            this.save();
+            return this.current;
+        }
+
+        // An explicitly chosen track jumps the queue without disturbing the bag
+        play(file) {
+            if (!this.files.includes(file)) return null;
+            if (file !== this.current) this.pushHistory(this.current);
+            this.current = file;
+            this.upcoming = this.upcoming.filter(f => f !== file);
+            this.future = [];
+            this.save();
+            return file;
+        }
+
+        setRepeat(mode) {
+            if (!REPEAT_MODES.includes(mode)) return;
+            this.repeat = mode;
+            this.save();
+        }
+
+        cycleRepeat() {
+            const index = REPEAT_MODES.indexOf(this.repeat);
+            this.setRepeat(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+            return this.repeat;
+        }
+
+        setShuffle(enabled) {
+            this.shuffle = !!enabled;
+            // Reorder what is left so the change takes effect on the next track
+            this.upcoming = [];
+            this.future = [];
+            this.save();
+        }
+
+        refill() {
+            if (this.shuffle) {
+                const bag = shuffled(this.files);
+                // Never start a new bag with the track that just finished
+                if (bag.length > 1 && bag[0] === this.current) {
+                    [bag[0], bag[bag.length - 1]] = [bag[bag.length - 1], bag[0]];
+                }
+                this.upcoming = bag;
+            } else {
+                const start = this.files.indexOf(this.current) + 1;
+                this.upcoming = this.files.slice(start).concat(this.files.slice(0, start));
+            }
+        }
+
+        pushHistory(file) {
+            if (!file) return;
+            this.history.push(file);
+            if (this.history.length > HISTORY_LIMIT) {
+                this.history.splice(0, this.history.length - HISTORY_LIMIT);
+            }
+        }
+
+        toJSON() {
+            return {
+                current: this.current,
+                upcoming: this.upcoming.slice(),
+                history: this.history.slice(),
+                future: this.future.slice(),
+                repeat: this.repeat,
+                shuffle: this.shuffle
+            };
+        }
+
+        restore(saved) {
+            const list = value => Array.isArray(value) ? value.filter(f => typeof f === 'string') : [];
+            this.current = typeof saved.current === 'string' ? saved.current : '';
+            this.upcoming = list(saved.upcoming);
+            this.history = list(saved.history);
+            this.future = list(saved.future);
+            if (REPEAT_MODES.includes(saved.repeat)) this.repeat = saved.repeat;
+            if (typeof saved.shuffle === 'boolean') this.shuffle = saved.shuffle;
+        }
+
+        save() {
+            window.meraStore.namespace('player').set('queue', this.toJSON());
+        }
+
+        static load(files) {
+            const saved = window.meraStore.namespace('player').get('queue', null);
+            const queue = new MeraPlayQueue(files, saved);
+            if (saved) queue.setTracks(files);
+            return queue;
+        }
+    }
+
+    window.MeraPlayQueue = MeraPlayQueue;
+})();
@@ -0,0 +1,142 @@
+// MERA Study Music - keyboard shortcuts
+// Page-wide shortcuts for the player. Bindings are KeyboardEvent.code values
+// with modifiers ("Alt+Shift+KeyP"), so they do not depend on the keyboard
+// layout or on the characters Alt produces on macOS. Readers can change them
+// in the top bar's Focus panel (music_view_topbar.js) or from the console,
+// and the choice is remembered:
+//
+//   meraMusicShortcuts.setBinding('playpause', 'Alt+Shift+Space')
+//   meraMusicShortcuts.reset()
+//
+// Nothing fires while the reader is typing: in Documenter's search box, any
+// other form field, or editable content.
+
+(function() {
+    'use strict';
+
+    const DEFAULT_BINDINGS = {
+        playpause: 'Alt+Shift+KeyP',
+        next: 'Alt+Shift+ArrowRight',
+        previous: 'Alt+Shift+ArrowLeft',
+        volumeup: 'Alt+Shift+ArrowUp',
+        volumedown: 'Alt+Shift+ArrowDown',
+        mute: 'Alt+Shift+KeyU',
+        popup: 'Alt+Shift+KeyM'
+    };
+    const LABELS = {
+        playpause: 'Play / pause',
+        next: 'Next track',
+        previous: 'Previous track',
+        volumeup: 'Volume up',
+        volumedown: 'Volume down',
+        mute: 'Mute',
+        popup: 'Popup player'
+    };
+    const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+    const ARROWS = { Up: '↑', Down: '↓', Left: '←', Right: '→' };
+
+    // "shift+alt+keyp" -> "Alt+Shift+KeyP"; null if there is no key
+    function normalize(combo) {
+        const parts = String(combo).split('+').map(part => part.trim()).filter(Boolean);
+        const modifiers = MODIFIERS.filter(m => parts.some(p => p.toLowerCase() === m.toLowerCase()));
+        const key = parts.find(p => !MODIFIERS.some(m => m.toLowerCase() === p.toLowerCase()));
+        return key ? modifiers.concat(key).join('+') : null;
+    }
+
+    function comboFromEvent(event) {
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+        return modifiers.concat(event.code).join('+');
+    }
+
+    // "Alt+Shift+KeyP" -> "Alt+Shift+P", for the settings panel
+    function display(combo) {
+        if (!combo) return '';
+        return combo.split('+')
+            .map(part => part.replace(/^(Key|Digit)(?=.)/, '').replace(/^Arrow(\w+)$/, (m, dir) => ARROWS[dir] || m))
+            .join('+');
+    }
+
+    function isTyping(event) {
+        if (event.isComposing) return true;
+        const target = event.target;
+        if (!target || target.nodeType !== 1) return false;
+        if (target.isContentEditable) return true;
+        if (target.closest('.search-modal, #documenter-search-query, .docs-search')) return true;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) &&
+               !(target.tagName === 'INPUT' && ['range', 'checkbox', 'radio', 'button'].includes(target.type));
+    }
+
+    class MeraShortcuts {
+        // onAction(action) runs one of the DEFAULT_BINDINGS actions
+        constructor(onAction) {
+            this.onAction = onAction;
+            this.bindings = Object.assign({}, DEFAULT_BINDINGS);
+            // Changed bindings, in the state store (mera_store.js)
+            this.saved = window.meraStore.namespace('shortcuts');
+            Object.keys(DEFAULT_BINDINGS).forEach(action => {
+                const saved = this.saved.get(action);
+                if (saved === null) this.bindings[action] = null;
+                else if (typeof saved === 'string') this.bindings[action] = normalize(saved);
+            });
+            this.listener = (event) => this.handle(event);
+        }
+
+        start() {
+            document.addEventListener('keydown', this.listener);
+        }
+
+        stop() {
+            document.removeEventListener('keydown', this.listener);
+        }
+
+        // `combo` null switches the shortcut off; an action that had the
+        // combo before loses it
+        setBinding(action, combo) {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_BINDINGS, action)) {
+                throw new Error(`Unknown music shortcut "${action}"; known: ${Object.keys(DEFAULT_BINDINGS).join(', ')}`);
+            }
+            const binding = combo === null ? null : normalize(combo);
+            if (binding) {
+                Object.keys(this.bindings).forEach(other => {
+                    if (this.bindings[other] === binding) this.bindings[other] = null;
+                });
+            }
+            this.bindings[action] = binding;
+            this.save();
+        }
+
+        reset() {
+            this.bindings = Object.assign({}, DEFAULT_BINDINGS);
+            Object.keys(DEFAULT_BINDINGS).forEach(action => this.saved.remove(action));
+        }
+
+        save() {
+            this.saved.update(this.bindings);
+        }
+
+        handle(event) {
+            if (event.defaultPrevented || isTyping(event)) return;
+            const action = this.actionFor(event);
+            if (!action) return;
+            event.preventDefault();
+            // Holding a key down repeats volume steps only
+            if (event.repeat && !action.startsWith('volume')) return;
+            this.onAction(action);
+        }
+
+        actionFor(event) {
+            const combo = comboFromEvent(event);
+            return Object.keys(this.bindings).find(action => this.bindings[action] === combo) || null;
+        }
+    }
+
+    MeraShortcuts.DEFAULT_BINDINGS = DEFAULT_BINDINGS;
+    MeraShortcuts.LABELS = LABELS;
+    MeraShortcuts.comboFromEvent = comboFromEvent;
+    MeraShortcuts.display = display;
+    window.MeraShortcuts = MeraShortcuts;
+})();
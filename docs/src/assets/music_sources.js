@@ -0,0 +1,129 @@
+// MERA Study Music - encodings
+// A manifest track (assets/music/tracks.json) may list several encodings of
+// the same music, best first:
+//
+//   {"file": "vega.mp3", "name": "Vega", ...,
+//    "sources": [{"file": "vega.opus", "type": "audio/ogg; codecs=opus", "kbps": 96},
+//                {"file": "vega.ogg", "type": "audio/ogg; codecs=vorbis", "kbps": 128},
+//                {"file": "vega.mp3", "type": "audio/mpeg", "kbps": 192}]}
+//
+// "file" stays the track's name everywhere (queue, saved state, tabs);
+// pick(track) returns the encoding to fetch. It keeps the listed order among
+// what canPlayType() accepts, or takes the smallest (by kbps) when the
+// Network Information API reports Save-Data or a slow connection. Without
+// "sources" the file itself is the only encoding, its type read from the
+// extension. An encoding that fails to load is skipped from then on.
+//
+// Loudness: a track (or one of its sources) may carry "replaygain" (track
+// gain in dB, ReplayGain 2.0) or "lufs" (integrated loudness, e.g. the "I:"
+// line of `ffmpeg -i vega.mp3 -af ebur128 -f null -`). gainDb() turns either
+// into the correction the engine applies, so every track plays about as loud
+// as REFERENCE_LUFS.
+
+(function() {
+    'use strict';
+
+    const TYPES = {
+        mp3: 'audio/mpeg',
+        opus: 'audio/ogg; codecs=opus',
+        ogg: 'audio/ogg; codecs=vorbis',
+        oga: 'audio/ogg; codecs=vorbis',
+        m4a: 'audio/mp4; codecs="mp4a.40.2"',
+        aac: 'audio/aac',
+        webm: 'audio/webm; codecs=opus',
+        flac: 'audio/flac',
+        wav: 'audio/wav'
+    };
+    const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g'];
+    const SLOW_DOWNLINK_MBPS = 1.5;
+    const REFERENCE_LUFS = -18;      // ReplayGain 2.0 reference level
+    const MAX_BOOST_DB = 6;          // louder risks clipping
+    const MAX_CUT_DB = 20;
+
+    const failed = new Set();
+    let probe = null;
+
+    function firstNumber(...values) {
+        return values.find(value => typeof value === 'number' && isFinite(value));
+    }
+
+    function typeOf(file) {
+        const extension = (/\.([a-z0-9]+)$/i.exec(file) || [])[1];
+        return TYPES[extension && extension.toLowerCase()] || '';
+    }
+
+    // '' (no), 'maybe' or 'probably'
+    function support(type) {
+        if (!probe) probe = document.createElement('audio');
+        return type ? probe.canPlayType(type) : 'maybe';
+    }
+
+    class MeraSources {
+        static candidates(track) {
+            const sources = Array.isArray(track.sources) && track.sources.length
+                ? track.sources
+                : [{ file: track.file }];
+            return sources.map(source => ({
+                file: source.file,
+                type: source.type || typeOf(source.file),
+                kbps: Number(source.kbps) || Infinity
+            }));
+        }
+
+        // True on Save-Data and on connections too slow for the full-size files
+        static constrained() {
+            const connection = navigator.connection;
+            if (!connection) return false;
+            return !!connection.saveData ||
+                   SLOW_CONNECTIONS.includes(connection.effectiveType) ||
+                   (connection.downlink > 0 && connection.downlink < SLOW_DOWNLINK_MBPS);
+        }
+
+        // Encodings this browser accepts that have not failed yet
+        static playable(track) {
+            return MeraSources.candidates(track)
+                .map((source, index) => Object.assign({ index, support: support(source.type) }, source))
+                .filter(source => source.support && !failed.has(source.file));
+        }
+
+        // File name of the encoding to load; the track's own file if nothing
+        // better is known
+        static pick(track) {
+            if (!track) return null;
+            const playable = MeraSources.playable(track);
+            if (!playable.length) return track.file;
+            const rank = source => source.support === 'probably' ? 0 : 1;
+            playable.sort(MeraSources.constrained()
+                ? (a, b) => a.kbps - b.kbps || rank(a) - rank(b) || a.index - b.index
+                : (a, b) => rank(a) - rank(b) || a.index - b.index);
+            return playable[0].file;
+        }
+
+        // Skip an encoding that would not load (missing from this deploy, or
+        // the browser was wrong); true if the track has another one to try
+        static markFailed(track, file) {
+            failed.add(file);
+            return !!track && MeraSources.playable(track).length > 0;
+        }
+
+        // Loudness correction in dB for one encoding of a track; 0 without data
+        static gainDb(track, file) {
+            if (!track) return 0;
+            const source = (track.sources || []).find(candidate => candidate.file === file) || {};
+            const replaygain = firstNumber(source.replaygain, track.replaygain);
+            const lufs = firstNumber(source.lufs, track.lufs);
+            let db = 0;
+            if (replaygain !== undefined) db = replaygain;
+            else if (lufs !== undefined) db = REFERENCE_LUFS - lufs;
+            return Math.min(MAX_BOOST_DB, Math.max(-MAX_CUT_DB, db));
+        }
+
+        static onChange(handler) {
+            if (navigator.connection && navigator.connection.addEventListener) {
+                navigator.connection.addEventListener('change', handler);
+            }
+        }
+    }
+
+    window.MeraSources = MeraSources;
+})();
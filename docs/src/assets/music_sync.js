@@ -0,0 +1,316 @@
+// MERA Study Music - cross-tab coordination
+// Exactly one docs tab owns playback; every other tab shows what is playing and
+// forwards its button presses to the owner. Ownership is a lease in
+// localStorage renewed by a heartbeat, and messages travel over a
+// BroadcastChannel (or storage events where that is missing).
+//
+// Protocol, every message carries `from` (the sender's tab id):
+//   hello    - a tab has loaded; the owner answers with 'state'
+//   state    - owner heartbeat with the now-playing state
+//   command  - remote control request addressed to the owner (`to`)
+//   claim    - a tab has taken ownership; on a tie the smaller id wins
+//   release  - the owner's page is going away; carries its final state so
+//              another tab can carry on if the owner does not come back.
+//              When its popup plays, the popup carries on by itself and the
+//              next owner only mirrors it (onPopupHandover).
+//
+// A page restored from the back/forward cache re-reads the lease: the owner
+// takes it back if nobody else took over, and steps down otherwise.
+
+(function() {
+    'use strict';
+
+    const CHANNEL_NAME = 'mera-music';
+    const BUS_KEY = 'mera-music-bus';
+    const LEASE_KEY = 'mera-music-owner';
+    const HANDOFF_KEY = 'mera-music-handoff';
+    const HEARTBEAT_MS = 2000;
+    const LEASE_MS = 3 * HEARTBEAT_MS;
+    // How long other tabs wait for a navigating owner to come back
+    const HANDOVER_GRACE_MS = 1500;
+
+    // A fresh id for every page load. Ids kept in sessionStorage would be
+    // copied by "Duplicate tab", and two tabs with one id ignore each other.
+    function newTabId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    // The owner's id, left in sessionStorage as its page goes away, lets the
+    // next page of the same tab take the lease straight back. It is written
+    // on pagehide only, so a duplicated tab never finds one.
+    function takeHandoff() {
+        try {
+            const id = sessionStorage.getItem(HANDOFF_KEY);
+            sessionStorage.removeItem(HANDOFF_KEY);
+            return id;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(LEASE_KEY) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeLease(lease) {
+        try {
+            localStorage.setItem(LEASE_KEY, JSON.stringify(lease));
+        } catch (e) { /* private mode */ }
+    }
+
+    class MeraTabSync {
+        // callbacks:
+        //   getState()                  - now-playing state to publish (owner)
+        //   onCommand(command, arg)     - remote control request (owner)
+        //   onRemoteState(state)        - owner state changed (remote tabs)
+        //   onOwnershipChange(isOwner)  - this tab gained or lost ownership
+        //   onHandover(state)           - inherited playback from a closed tab
+        //   onPopupHandover(state)      - inherited a closed tab whose popup plays
+        constructor(callbacks) {
+            this.callbacks = callbacks;
+            this.id = newTabId();
+            this.isOwner = false;
+            this.ownerId = null;
+            this.remoteState = null;
+            this.heartbeatTimer = null;
+            this.watchdogTimer = null;
+            this.handoverTimer = null;
+            this.channel = null;
+            // Between pagehide and a pageshow from the back/forward cache the
+            // page neither answers nor contests a claim
+            this.leaving = false;
+        }
+
+        start() {
+            if ('BroadcastChannel' in window) {
+                this.channel = new BroadcastChannel(CHANNEL_NAME);
+                this.channel.onmessage = (event) => this.receive(event.data);
+            } else {
+                window.addEventListener('storage', (event) => {
+                    if (event.key === BUS_KEY && event.newValue) {
+                        try { this.receive(JSON.parse(event.newValue)); } catch (e) { /* malformed */ }
+                    }
+                });
+            }
+
+            const lease = readLease();
+            const previous = takeHandoff();
+            if (lease && previous && lease.id === previous) {
+                // Same tab, next page: take the lease straight back
+                this.claim();
+            } else if (lease && lease.expires > Date.now()) {
+                this.ownerId = lease.id;
+                this.armWatchdog();
+            }
+            this.post({ type: 'hello' });
+
+            window.addEventListener('pagehide', () => this.release());
+            window.addEventListener('pageshow', (event) => {
+                if (event.persisted) this.restore();
+            });
+        }
+
+        // Back from the back/forward cache, with timers stopped meanwhile
+        restore() {
+            this.leaving = false;
+            takeHandoff();
+            const lease = readLease();
+            const free = !lease || lease.id === this.id || lease.expires <= Date.now();
+            if (this.isOwner && free) {
+                this.claim();
+            } else if (lease && lease.id !== this.id && lease.expires > Date.now()) {
+                this.resign(lease.id);
+                this.armWatchdog();
+            } else {
+                this.resign(null);
+            }
+            this.post({ type: 'hello' });
+        }
+
+        // Another live tab owns playback
+        hasRemoteOwner() {
+            return !this.isOwner && this.ownerId !== null;
+        }
+
+        claim() {
+            if (this.handoverTimer) {
+                clearTimeout(this.handoverTimer);
+                this.handoverTimer = null;
+            }
+            const wasOwner = this.isOwner;
+            this.isOwner = true;
+            this.ownerId = this.id;
+            this.remoteState = null;
+            this.renew();
+            this.post({ type: 'claim' });
+            if (!this.heartbeatTimer) {
+                this.heartbeatTimer = setInterval(() => this.renew(), HEARTBEAT_MS);
+            }
+            if (!wasOwner) this.callbacks.onOwnershipChange(true);
+        }
+
+        resign(newOwnerId) {
+            if (this.heartbeatTimer) {
+                clearInterval(this.heartbeatTimer);
+                this.heartbeatTimer = null;
+            }
+            const wasOwner = this.isOwner;
+            this.isOwner = false;
+            this.ownerId = newOwnerId;
+            if (wasOwner) this.callbacks.onOwnershipChange(false);
+        }
+
+        renew() {
+            writeLease({ id: this.id, expires: Date.now() + LEASE_MS });
+            this.publishState();
+        }
+
+        // Owner: push the current state to every remote tab right away
+        publishState() {
+            if (this.isOwner) {
+                this.post({ type: 'state', state: this.callbacks.getState() });
+            }
+        }
+
+        // Remote: ask the owner to run a player command
+        send(command, arg) {
+            if (this.hasRemoteOwner()) {
+                this.post({ type: 'command', to: this.ownerId, command, arg });
+            }
+        }
+
+        release() {
+            this.leaving = true;
+            if (!this.isOwner) return;
+            // Keep the lease for the grace period so a navigating tab can reclaim it
+            writeLease({ id: this.id, expires: Date.now() + HANDOVER_GRACE_MS });
+            try {
+                sessionStorage.setItem(HANDOFF_KEY, this.id);
+            } catch (e) { /* private mode: other tabs take over after the grace period */ }
+            this.post({ type: 'release', state: this.callbacks.getState() });
+            if (this.heartbeatTimer) {
+                clearInterval(this.heartbeatTimer);
+                this.heartbeatTimer = null;
+            }
+        }
+
+        receive(message) {
+            if (!message || message.from === this.id || this.leaving) return;
+
+            switch (message.type) {
+                case 'hello':
+                    this.publishState();
+                    break;
+
+                case 'state':
+                    if (this.isOwner) {
+                        // Two owners after a race: the smaller id keeps playback
+                        if (message.from < this.id) this.resign(message.from);
+                        else this.post({ type: 'claim' });
+                        if (this.isOwner) break;
+                    }
+                    this.cancelHandover();
+                    this.ownerId = message.from;
+                    this.remoteState = message.state;
+                    this.armWatchdog();
+                    this.callbacks.onRemoteState(this.remoteState);
+                    break;
+
+                case 'claim':
+                    this.cancelHandover();
+                    if (this.isOwner) {
+                        if (message.from < this.id) this.resign(message.from);
+                        else this.post({ type: 'claim' });
+                    } else {
+                        this.ownerId = message.from;
+                        this.armWatchdog();
+                    }
+                    break;
+
+                case 'command':
+                    if (this.isOwner && message.to === this.id) {
+                        this.callbacks.onCommand(message.command, message.arg);
+                    }
+                    break;
+
+                case 'release':
+                    if (message.from === this.ownerId) this.scheduleHandover(message.state);
+                    break;
+            }
+        }
+
+        // The owner is leaving. If it does not reclaim within the grace period
+        // (it was closed, not navigated), one remaining tab carries on. The
+        // jitter spreads the claims out; 'claim' tie-breaking settles the rest.
+        scheduleHandover(state) {
+            this.cancelHandover();
+            this.remoteState = state;
+            const delay = HANDOVER_GRACE_MS + Math.random() * 300;
+            this.handoverTimer = setTimeout(() => {
+                this.handoverTimer = null;
+                const lease = readLease();
+                if (lease && lease.id !== this.ownerId && lease.expires > Date.now()) {
+                    return; // someone else already took over
+                }
+                this.ownerId = null;
+                this.remoteState = null;
+                if (state && state.activePlayer === 'popup') {
+                    // The popup plays on without its opener; starting the
+                    // music here as well would play it twice
+                    this.claim();
+                    this.callbacks.onPopupHandover(state);
+                } else if (state && state.isPlaying) {
+                    this.claim();
+                    this.callbacks.onHandover(state);
+                } else {
+                    this.callbacks.onRemoteState(null);
+                }
+            }, delay);
+        }
+
+        cancelHandover() {
+            if (this.handoverTimer) {
+                clearTimeout(this.handoverTimer);
+                this.handoverTimer = null;
+            }
+        }
+
+        // A remote owner that stops sending heartbeats has crashed or been
+        // frozen; stop showing its state rather than controlling a ghost
+        armWatchdog() {
+            if (this.watchdogTimer) clearTimeout(this.watchdogTimer);
+            this.watchdogTimer = setTimeout(() => {
+                this.watchdogTimer = null;
+                if (this.isOwner || this.handoverTimer) return;
+                const lease = readLease();
+                if (lease && lease.expires > Date.now()) {
+                    this.armWatchdog();
+                    return;
+                }
+                this.ownerId = null;
+                this.remoteState = null;
+                this.callbacks.onRemoteState(null);
+            }, LEASE_MS);
+        }
+
+        post(message) {
+            message.from = this.id;
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                try {
+                    // A nonce makes repeated identical messages still fire 'storage'
+                    message.nonce = Math.random();
+                    localStorage.setItem(BUS_KEY, JSON.stringify(message));
+                } catch (e) { /* private mode: single-tab behaviour */ }
+            }
+        }
+    }
+
+    window.MeraTabSync = MeraTabSync;
+})();
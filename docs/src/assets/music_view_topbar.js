@@ -0,0 +1,506 @@
+// MERA Study Music - top bar view
+// The persistent bar at the top of every docs page. A view only talks to the
+// player through its public API (window.meraMusic, music_player.js): it
+// renders 'statechange' and sends commands back; it never touches the audio.
+
+(function() {
+    'use strict';
+
+    const repeatLabels = {
+        all: { icon: '🔁', title: 'Repeat all' },
+        one: { icon: '🔂', title: 'Repeat one' },
+        off: { icon: '➡️', title: 'No repeat' }
+    };
+
+    const focusMessages = {
+        work: 'Focus time',
+        break: 'Break time',
+        end: 'Focus session complete',
+        sleep: 'Sleep timer finished',
+        stop: 'Focus session stopped'
+    };
+
+    let player = null;
+
+    // Emoji are decoration: screen readers get the label, not "window emoji".
+    // Only touches the DOM when something changed, so unchanged labels are not
+    // announced again.
+    function setButtonContent(btn, icon, text, label) {
+        const html = `<span aria-hidden="true">${icon}</span>${text ? ' ' + text : ''}`;
+        if (btn.innerHTML !== html) btn.innerHTML = html;
+        const accessibleName = label || text;
+        if (btn.getAttribute('aria-label') !== accessibleName) btn.setAttribute('aria-label', accessibleName);
+        if (btn.title !== accessibleName) btn.title = accessibleName;
+    }
+
+    // #mera-top-status is a polite live region; write it only on real changes
+    function setStatus(text, icon = '') {
+        const iconEl = document.getElementById('mera-top-status-icon');
+        const textEl = document.getElementById('mera-top-status-text');
+        if (!iconEl || !textEl) return;
+        const iconText = icon ? `${icon} ` : '';
+        if (iconEl.textContent !== iconText) iconEl.textContent = iconText;
+        if (textEl.textContent !== text) textEl.textContent = text;
+    }
+
+    function setVisible(btn, visible) {
+        if (btn.hidden === visible) btn.hidden = !visible;
+    }
+
+    // Queue buttons: hidden while the popup plays, otherwise reflect the modes
+    // (the owning tab's modes when this tab is a remote control)
+    function renderQueueControls(state) {
+        const inPopup = state.activePlayer === 'popup';
+        ['prev', 'next', 'shuffle', 'repeat'].forEach(name => {
+            const btn = document.getElementById(`mera-top-${name}-btn`);
+            if (btn) setVisible(btn, !inPopup);
+        });
+
+        const shuffleBtn = document.getElementById('mera-top-shuffle-btn');
+        if (shuffleBtn) {
+            shuffleBtn.setAttribute('aria-pressed', String(!!state.shuffle));
+        }
+
+        const repeatBtn = document.getElementById('mera-top-repeat-btn');
+        if (repeatBtn) {
+            const repeat = repeatLabels[state.repeat] || repeatLabels.all;
+            setButtonContent(repeatBtn, repeat.icon, '', `${repeat.title} (change repeat mode)`);
+        }
+    }
+
+    // Play and Pause swap places; keep keyboard focus on whichever is shown
+    function keepFocusInBar(playBtn, pauseBtn) {
+        const focused = document.activeElement;
+        if ((focused === playBtn || focused === pauseBtn) && focused.hidden) {
+            const other = focused === playBtn ? pauseBtn : playBtn;
+            if (!other.hidden) other.focus();
+        }
+        updateRovingTabindex();
+    }
+
+    // Toolbar keyboard pattern: one button is in the tab order (tabindex 0),
+    // the arrow keys, Home and End move between the buttons that are shown
+    function toolbarButtons() {
+        const toolbar = document.getElementById('mera-top-toolbar');
+        if (!toolbar) return [];
+        return Array.from(toolbar.querySelectorAll('button'))
+            .filter(btn => !btn.hidden && !btn.disabled);
+    }
+
+    function updateRovingTabindex() {
+        const buttons = toolbarButtons();
+        const toolbar = document.getElementById('mera-top-toolbar');
+        if (!toolbar) return;
+        const current = buttons.find(btn => btn === document.activeElement) ||
+                      buttons.find(btn => btn.tabIndex === 0) || buttons[0];
+        toolbar.querySelectorAll('button').forEach(btn => {
+            const tabIndex = btn === current ? 0 : -1;
+            if (btn.tabIndex !== tabIndex) btn.tabIndex = tabIndex;
+        });
+    }
+
+    function handleToolbarKeydown(event) {
+        const buttons = toolbarButtons();
+        const index = buttons.indexOf(document.activeElement);
+        if (index === -1) return;
+        let target = null;
+        switch (event.key) {
+            case 'ArrowRight': target = buttons[(index + 1) % buttons.length]; break;
+            case 'ArrowLeft': target = buttons[(index - 1 + buttons.length) % buttons.length]; break;
+            case 'Home': target = buttons[0]; break;
+            case 'End': target = buttons[buttons.length - 1]; break;
+            default: return;
+        }
+        event.preventDefault();
+        target.focus();
+        updateRovingTabindex();
+    }
+
+    function render(state) {
+        renderQueueControls(state);
+
+        const playBtn = document.getElementById('mera-top-play-btn');
+        const pauseBtn = document.getElementById('mera-top-pause-btn');
+        const status = document.getElementById('mera-top-status');
+        const popupBtn = document.getElementById('mera-popup-btn');
+        if (!playBtn || !pauseBtn || !status) return;
+
+        status.classList.toggle('is-emphasized', state.mode === 'popup');
+
+        if (state.mode === 'remote') {
+            // Another tab plays; this bar is its remote control
+            setVisible(playBtn, !state.isPlaying);
+            setVisible(pauseBtn, state.isPlaying);
+            setButtonContent(playBtn, '▶️', 'Play', 'Play music');
+            playBtn.classList.remove('is-highlighted');
+            if (state.connecting) {
+                setStatus('Connecting to the playing tab...', '📡');
+            } else if (state.activePlayer === 'popup') {
+                setStatus('Playing in popup window of another tab', '🪟');
+            } else {
+                setStatus(`${state.isPlaying ? 'Playing' : 'Paused'} in another tab: ${state.trackName}`, '📡');
+            }
+
+            if (popupBtn) {
+                setButtonContent(popupBtn, '🪟', 'Popup', 'Popup unavailable: music is playing in another tab');
+                popupBtn.disabled = true;
+            }
+
+        } else if (state.mode === 'popup') {
+            // Show popup status
+            setVisible(playBtn, false);
+            setVisible(pauseBtn, false);
+            setStatus('Playing in popup window', '🪟');
+
+            if (popupBtn) {
+                setButtonContent(popupBtn, '🪟', 'Active', 'Music is playing in the popup window');
+                popupBtn.classList.add('is-active');
+                popupBtn.disabled = true;
+            }
+
+        } else {
+            // Regular top bar mode
+            if (popupBtn) {
+                setButtonContent(popupBtn, '🪟', 'Popup', 'Open music player in popup window for seamless listening');
+                popupBtn.classList.remove('is-active');
+                popupBtn.disabled = false;
+            }
+
+            if (state.isPlaying) {
+                setVisible(playBtn, false);
+                setVisible(pauseBtn, true);
+                setStatus(`Playing: ${state.trackName}`);
+            } else if (state.canResume) {
+                setVisible(playBtn, true);
+                setVisible(pauseBtn, false);
+                setButtonContent(playBtn, '▶️', 'Resume Music', `Resume music: ${state.trackName}`);
+                playBtn.classList.add('is-highlighted');
+                setStatus(`Click to resume: ${state.trackName}`);
+            } else {
+                setVisible(playBtn, true);
+                setVisible(pauseBtn, false);
+                setButtonContent(playBtn, '▶️', 'Play', 'Play music');
+                playBtn.classList.remove('is-highlighted');
+                setStatus(state.hasSource ? `Ready: ${state.trackName}` : 'Ready to play');
+            }
+        }
+
+        keepFocusInBar(playBtn, pauseBtn);
+    }
+
+    function renderVolume(volume, muted) {
+        const muteBtn = document.getElementById('mera-top-mute-btn');
+        if (muteBtn) {
+            // A toggle button: the name stays, aria-pressed carries the state
+            setButtonContent(muteBtn, muted ? '🔇' : '🔊', '', 'Mute music');
+            muteBtn.setAttribute('aria-pressed', String(!!muted));
+        }
+        const percent = Math.round(volume * 100);
+        const volumeSlider = document.getElementById('mera-top-volume');
+        if (volumeSlider) {
+            volumeSlider.value = percent;
+            volumeSlider.setAttribute('aria-valuetext', `${percent}%`);
+        }
+        const volumeDisplay = document.getElementById('mera-top-volume-display');
+        if (volumeDisplay) volumeDisplay.textContent = `${percent}%`;
+    }
+
+    function renderFocus(session) {
+        const focusBtn = document.getElementById('mera-top-focus-btn');
+        if (!focusBtn || !session) return;
+        const Focus = window.MeraFocusSession;
+        const sleep = session.sleepRemaining();
+        const sleepText = sleep ? ` 💤 ${Focus.format(sleep)}` : '';
+        if (session.active) {
+            const isBreak = session.state.phase === 'break';
+            const rounds = session.settings.cycles ? `/${session.settings.cycles}` : '';
+            const minutes = Math.ceil(session.remaining() / 60000);
+            setButtonContent(focusBtn, isBreak ? '☕' : '🍅', Focus.format(session.remaining()) + sleepText,
+                `${isBreak ? 'Break' : `Focus round ${session.state.cycle}${rounds}`}, about ${minutes} min left. Focus session settings`);
+        } else {
+            setButtonContent(focusBtn, '🍅', 'Focus' + sleepText, 'Focus session settings');
+        }
+        focusBtn.classList.toggle('is-active', session.active);
+
+        const startBtn = document.getElementById('mera-focus-start');
+        const skipBtn = document.getElementById('mera-focus-skip');
+        if (startBtn) startBtn.textContent = session.active ? 'Stop focus' : 'Start focus';
+        if (skipBtn) skipBtn.disabled = !session.active;
+    }
+
+    function setFocusPanelOpen(open) {
+        const panel = document.getElementById('mera-focus-panel');
+        const focusBtn = document.getElementById('mera-top-focus-btn');
+        const session = player.focus;
+        if (!panel || !focusBtn || !session) return;
+        if (open) {
+            document.getElementById('mera-focus-work').value = session.settings.work;
+            document.getElementById('mera-focus-break').value = session.settings.break;
+            document.getElementById('mera-focus-cycles').value = session.settings.cycles;
+            document.getElementById('mera-focus-pause').checked = session.settings.pauseDuringBreaks;
+            const sleepSelect = document.getElementById('mera-focus-sleep');
+            if (!session.sleepRemaining()) sleepSelect.value = '0';
+        }
+        panel.hidden = !open;
+        focusBtn.setAttribute('aria-expanded', String(open));
+        if (open) document.getElementById('mera-focus-work').focus();
+    }
+
+    // Registered once in mount(): the bar, and its panel, may be rebuilt
+    function closeFocusPanelOutside(event) {
+        const panel = document.getElementById('mera-focus-panel');
+        const focusBtn = document.getElementById('mera-top-focus-btn');
+        if (panel && focusBtn && !panel.hidden && !panel.contains(event.target) && !focusBtn.contains(event.target)) {
+            setFocusPanelOpen(false);
+        }
+    }
+
+    function setupFocusPanel() {
+        const panel = document.getElementById('mera-focus-panel');
+        const focusBtn = document.getElementById('mera-top-focus-btn');
+        if (!panel || !focusBtn) return;
+        if (!player.focus) {
+            focusBtn.hidden = true;
+            return;
+        }
+
+        focusBtn.addEventListener('click', () => setFocusPanelOpen(panel.hidden));
+        panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                setFocusPanelOpen(false);
+                focusBtn.focus();
+            }
+        });
+        panel.addEventListener('change', (event) => {
+            if (event.target.id === 'mera-focus-sleep') {
+                player.focus.setSleepTimer(event.target.value);
+                return;
+            }
+            player.focus.setSettings({
+                work: document.getElementById('mera-focus-work').value,
+                break: document.getElementById('mera-focus-break').value,
+                cycles: document.getElementById('mera-focus-cycles').value,
+                pauseDuringBreaks: document.getElementById('mera-focus-pause').checked
+            });
+        });
+
+        document.getElementById('mera-focus-start').addEventListener('click', () => {
+            if (player.focus.active) player.focus.stop();
+            else player.focus.start();
+        });
+        document.getElementById('mera-focus-skip').addEventListener('click', () => player.focus.skip());
+
+        renderFocus(player.focus);
+    }
+
+    function renderShortcuts() {
+        const list = document.getElementById('mera-shortcuts-list');
+        const shortcuts = player.shortcuts;
+        if (!list || !shortcuts) return;
+        const Shortcuts = window.MeraShortcuts;
+        list.replaceChildren(...Object.keys(Shortcuts.DEFAULT_BINDINGS).map(action => {
+            const row = document.createElement('div');
+            row.className = 'mera-shortcuts-row';
+            const label = document.createElement('span');
+            label.textContent = Shortcuts.LABELS[action];
+            const keys = Shortcuts.display(shortcuts.bindings[action]) || 'Off';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'mera-top-btn mera-shortcuts-key';
+            button.dataset.action = action;
+            button.textContent = keys;
+            button.setAttribute('aria-label', `${Shortcuts.LABELS[action]}: ${keys}. Change shortcut`);
+            row.append(label, button);
+            return row;
+        }));
+    }
+
+    // A key button waits for the next key press and binds it; Escape or
+    // leaving the button keeps the old one
+    function setupShortcuts() {
+        const section = document.getElementById('mera-shortcuts');
+        const list = document.getElementById('mera-shortcuts-list');
+        if (!section || !list || !player.shortcuts) return;
+        section.hidden = false;
+
+        list.addEventListener('click', (event) => {
+            const button = event.target.closest('.mera-shortcuts-key');
+            if (!button) return;
+            button.dataset.capturing = 'true';
+            button.textContent = 'Press keys…';
+        });
+        list.addEventListener('keydown', (event) => {
+            const button = event.target.closest('.mera-shortcuts-key');
+            if (!button || !button.dataset.capturing || event.key === 'Tab') return;
+            // Not to the panel (Escape closes it) nor the shortcuts themselves
+            event.preventDefault();
+            event.stopPropagation();
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+            const plain = !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey;
+            if (event.key !== 'Escape') {
+                const combo = plain && ['Delete', 'Backspace'].includes(event.key)
+                    ? null
+                    : window.MeraShortcuts.comboFromEvent(event);
+                player.shortcuts.setBinding(button.dataset.action, combo);
+            }
+            renderShortcuts();
+            list.querySelector(`[data-action="${button.dataset.action}"]`).focus();
+        });
+        list.addEventListener('focusout', (event) => {
+            if (event.target.dataset && event.target.dataset.capturing) renderShortcuts();
+        });
+        document.getElementById('mera-shortcuts-reset').addEventListener('click', () => {
+            player.shortcuts.reset();
+            renderShortcuts();
+        });
+
+        renderShortcuts();
+    }
+
+    // Create the enhanced persistent top bar
+    function createTopBar() {
+        if (document.getElementById('mera-top-bar')) {
+            return;
+        }
+
+        const topBar = document.createElement('div');
+        topBar.id = 'mera-top-bar';
+        // All styling lives in custom.css (.mera-player-*), driven by custom
+        // properties that follow Documenter's light/dark theme
+        topBar.className = 'mera-player-bar';
+        topBar.setAttribute('role', 'region');
+        topBar.setAttribute('aria-label', 'MERA Study Music player');
+
+        // Buttons form one toolbar (a single tab stop, arrow keys inside it);
+        // the volume slider needs the arrow keys itself, so it stays outside
+        topBar.innerHTML = `
+            <div class="mera-player-group">
+                <span id="mera-top-title" class="mera-player-title"><span aria-hidden="true">🎵</span> MERA Study Music</span>
+                <div id="mera-top-toolbar" class="mera-player-group" role="toolbar" aria-labelledby="mera-top-title" aria-controls="mera-top-status">
+                    <button type="button" id="mera-top-play-btn" class="mera-top-btn mera-top-btn-primary" aria-label="Play music" title="Play music"><span aria-hidden="true">▶️</span> Play</button>
+                    <button type="button" id="mera-top-pause-btn" class="mera-top-btn mera-top-btn-primary" aria-label="Pause music" title="Pause music" hidden><span aria-hidden="true">⏸️</span> Pause</button>
+                    <button type="button" id="mera-top-prev-btn" class="mera-top-btn" aria-label="Previous track" title="Previous track"><span aria-hidden="true">⏮️</span></button>
+                    <button type="button" id="mera-top-next-btn" class="mera-top-btn" aria-label="Next track" title="Next track"><span aria-hidden="true">⏭️</span></button>
+                    <button type="button" id="mera-top-shuffle-btn" class="mera-top-btn mera-top-btn-toggle" aria-label="Shuffle" title="Shuffle" aria-pressed="true"><span aria-hidden="true">🔀</span></button>
+                    <button type="button" id="mera-top-repeat-btn" class="mera-top-btn" aria-label="Repeat all (change repeat mode)" title="Repeat all (change repeat mode)"><span aria-hidden="true">🔁</span></button>
+                    <button type="button" id="mera-popup-btn" class="mera-top-btn mera-top-btn-popup" aria-label="Open music player in popup window for seamless listening" title="Open music player in popup window for seamless listening"><span aria-hidden="true">🪟</span> Popup</button>
+                    <button type="button" id="mera-top-focus-btn" class="mera-top-btn mera-top-btn-focus" aria-expanded="false" aria-controls="mera-focus-panel" aria-label="Focus session settings" title="Focus session settings"><span aria-hidden="true">🍅</span> Focus</button>
+                </div>
+            </div>
+            <div id="mera-focus-panel" class="mera-focus-panel" role="group" aria-labelledby="mera-focus-panel-title" hidden>
+                <div id="mera-focus-panel-title" class="mera-focus-panel-title">Focus session</div>
+                <label class="mera-focus-field">Work <input type="number" id="mera-focus-work" min="1" max="180"> min</label>
+                <label class="mera-focus-field">Break <input type="number" id="mera-focus-break" min="1" max="60"> min</label>
+                <label class="mera-focus-field">Rounds <input type="number" id="mera-focus-cycles" min="0" max="12" aria-describedby="mera-focus-cycles-hint"></label>
+                <span id="mera-focus-cycles-hint" class="mera-focus-hint">0 = until stopped</span>
+                <label class="mera-focus-field"><input type="checkbox" id="mera-focus-pause"> Pause music during breaks</label>
+                <label class="mera-focus-field">Sleep timer
+                    <select id="mera-focus-sleep">
+                        <option value="0">Off</option>
+                        <option value="15">15 min</option>
+                        <option value="30">30 min</option>
+                        <option value="45">45 min</option>
+                        <option value="60">1 h</option>
+                        <option value="90">1 h 30 min</option>
+                    </select>
+                </label>
+                <div class="mera-focus-actions">
+                    <button type="button" id="mera-focus-start" class="mera-top-btn">Start focus</button>
+                    <button type="button" id="mera-focus-skip" class="mera-top-btn">Skip phase</button>
+                </div>
+                <details id="mera-shortcuts" class="mera-shortcuts" hidden>
+                    <summary>Keyboard shortcuts</summary>
+                    <div id="mera-shortcuts-list" class="mera-shortcuts-list"></div>
+                    <div class="mera-focus-hint">Pick one, then press the new keys; Delete turns it off</div>
+                    <button type="button" id="mera-shortcuts-reset" class="mera-top-btn">Reset shortcuts</button>
+                </details>
+            </div>
+            <span id="mera-focus-announce" class="mera-visually-hidden" role="status" aria-live="polite"></span>
+            <div class="mera-player-group mera-player-group-end">
+                <span id="mera-top-status" class="mera-player-status" role="status" aria-live="polite" aria-atomic="true"><span id="mera-top-status-icon" aria-hidden="true"></span><span id="mera-top-status-text">Ready to play</span></span>
+                <button type="button" id="mera-top-mute-btn" class="mera-top-btn" aria-pressed="false" aria-label="Mute music" title="Mute music"><span aria-hidden="true">🔊</span></button>
+                <label for="mera-top-volume" class="mera-visually-hidden">Music volume</label>
+                <input type="range" id="mera-top-volume" class="mera-player-volume" min="0" max="100" value="15" aria-valuetext="15%">
+                <span id="mera-top-volume-display" class="mera-player-status" aria-hidden="true">15%</span>
+            </div>
+        `;
+
+        document.body.insertBefore(topBar, document.body.firstChild);
+
+        setupEventListeners();
+        setupFocusPanel();
+        setupShortcuts();
+        render(player.getState());
+        renderVolume(player.getState().volume, player.getState().muted);
+
+        console.log('🎵 Enhanced persistent music player top bar created');
+    }
+
+    // Every control goes through the player API, which forwards to the owning
+    // tab when another tab is playing
+    function setupEventListeners() {
+        const commands = {
+            'mera-top-play-btn': () => player.play(),
+            'mera-top-pause-btn': () => player.pause(),
+            'mera-top-prev-btn': () => player.previous(),
+            'mera-top-next-btn': () => player.next(),
+            'mera-top-shuffle-btn': () => player.command('shuffle'),
+            'mera-top-repeat-btn': () => player.command('repeat'),
+            'mera-top-mute-btn': () => player.toggleMute()
+        };
+        Object.keys(commands).forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', commands[id]);
+        });
+
+        const volumeSlider = document.getElementById('mera-top-volume');
+        if (volumeSlider) {
+            volumeSlider.addEventListener('input', function(e) {
+                player.setVolume(e.target.value / 100);
+            });
+        }
+
+        const popupBtn = document.getElementById('mera-popup-btn');
+        if (popupBtn) {
+            popupBtn.addEventListener('click', () => {
+                if (player.getState().mode === 'local') player.togglePopup();
+            });
+        }
+
+        const toolbar = document.getElementById('mera-top-toolbar');
+        if (toolbar) {
+            toolbar.addEventListener('keydown', handleToolbarKeydown);
+            toolbar.addEventListener('focusin', updateRovingTabindex);
+        }
+    }
+
+    function mount(api) {
+        player = api;
+        createTopBar();
+        document.addEventListener('click', closeFocusPanelOutside);
+
+        player.on('statechange', render);
+        player.on('volumechange', ({ volume, muted }) => renderVolume(volume, muted));
+        player.on('error', ({ message }) => setStatus(message, '⚠️'));
+        player.on('focustick', ({ session }) => renderFocus(session));
+        player.on('focus', ({ event }) => {
+            const announce = document.getElementById('mera-focus-announce');
+            if (announce && focusMessages[event]) announce.textContent = focusMessages[event];
+        });
+
+        // The bar lives directly in <body>, outside everything an in-page
+        // navigation swaps (mera_navigation.js); only a script that clears
+        // <body> could remove it. Watching body's own children is enough and
+        // stays cheap on the large pages, unlike a subtree observer.
+        if ('MutationObserver' in window) {
+            new MutationObserver(() => {
+                if (!document.getElementById('mera-top-bar')) {
+                    console.log('🎵 Recreating enhanced player UI...');
+                    createTopBar();
+                }
+            }).observe(document.body, { childList: true });
+        }
+    }
+
+    window.meraMusic.registerView({ name: 'topbar', mount });
+})();
@@ -0,0 +1,76 @@
+// MERA Study Music - compact widget view
+// Small inline controls (play/pause, next, track name) for any page that asks
+// for them with a placeholder, e.g. in a Documenter @raw html block:
+//
+//   <div class="mera-music-widget"></div>
+//
+// Like the top bar it only uses the player API (window.meraMusic).
+
+(function() {
+    'use strict';
+
+    let player = null;
+    const widgets = [];
+
+    function build(container) {
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', 'MERA Study Music');
+        container.innerHTML = `
+            <button type="button" class="mera-top-btn mera-music-widget-toggle" aria-label="Play music" title="Play music"><span aria-hidden="true">▶️</span></button>
+            <button type="button" class="mera-top-btn mera-music-widget-next" aria-label="Next track" title="Next track"><span aria-hidden="true">⏭️</span></button>
+            <span class="mera-music-widget-title">MERA Study Music</span>
+        `;
+        const widget = {
+            container,
+            toggle: container.querySelector('.mera-music-widget-toggle'),
+            next: container.querySelector('.mera-music-widget-next'),
+            title: container.querySelector('.mera-music-widget-title')
+        };
+        widget.toggle.addEventListener('click', () => player.toggle());
+        widget.next.addEventListener('click', () => player.next());
+        container.dataset.meraMounted = 'true';
+        return widget;
+    }
+
+    function render(widget, state) {
+        // The popup has its own controls; the widget just points there
+        const inPopup = state.activePlayer === 'popup';
+        const label = state.isPlaying ? 'Pause music' : 'Play music';
+        const icon = state.isPlaying ? '⏸️' : '▶️';
+        widget.toggle.innerHTML = `<span aria-hidden="true">${icon}</span>`;
+        widget.toggle.setAttribute('aria-label', label);
+        widget.toggle.title = label;
+        widget.toggle.disabled = inPopup;
+        widget.next.disabled = inPopup;
+
+        let title = 'MERA Study Music';
+        if (inPopup) title = 'Playing in popup window';
+        else if (state.hasSource) title = state.trackName;
+        if (widget.title.textContent !== title) widget.title.textContent = title;
+    }
+
+    // Fill placeholders that have not been filled yet; forget widgets whose
+    // page was swapped out
+    function mountWidgets() {
+        for (let i = widgets.length - 1; i >= 0; i--) {
+            if (!widgets[i].container.isConnected) widgets.splice(i, 1);
+        }
+        document.querySelectorAll('.mera-music-widget:not([data-mera-mounted])').forEach(container => {
+            const widget = build(container);
+            widgets.push(widget);
+            render(widget, player.getState());
+        });
+    }
+
+    function mount(api) {
+        player = api;
+        mountWidgets();
+        // Placeholders in a page loaded in place (mera_navigation.js)
+        document.addEventListener('mera-page-load', mountWidgets);
+        player.on('statechange', state => {
+            widgets.forEach(widget => render(widget, state));
+        });
+    }
+
+    window.meraMusic.registerView({ name: 'widget', mount });
+})();
@@ -0,0 +1,208 @@
+// MERA Study Music - visualizer
+// Draws the music playing in the popup onto a canvas, from the engine's
+// AnalyserNode (music_engine.js). Colours come from the same perceptually
+// uniform colormaps used for Mera's projection figures.
+//
+// Modes: 'spectrum' (bars on a log frequency axis), 'spectrogram' (a
+// scrolling time/frequency map, like a dynamic spectrum) and 'waveform'.
+// Low-CPU mode draws fewer frames with a smaller FFT at 1x resolution.
+// Nothing is drawn while the window is hidden or the music is paused.
+
+(function() {
+    'use strict';
+
+    // Matplotlib colormaps sampled at nine evenly spaced points
+    const COLORMAPS = {
+        viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+        inferno: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f8c932', '#fcffa4'],
+        magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+        cividis: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#fee838']
+    };
+    const MODES = ['spectrum', 'spectrogram', 'waveform'];
+    const QUALITY = {
+        normal: { fftSize: 2048, frameMs: 0, bars: 64 },
+        low: { fftSize: 256, frameMs: 66, bars: 24 }     // about 15 frames a second
+    };
+    const MIN_FREQUENCY = 30; // Hz, left edge of the log axis
+
+    function hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // 256 interpolated entries, as [r, g, b] and as CSS strings
+    function buildLookup(stops) {
+        const rgb = stops.map(hexToRgb);
+        const table = [];
+        for (let i = 0; i < 256; i++) {
+            const position = i / 255 * (rgb.length - 1);
+            const low = Math.floor(position);
+            const high = Math.min(rgb.length - 1, low + 1);
+            const t = position - low;
+            table.push(rgb[low].map((channel, c) => Math.round(channel + (rgb[high][c] - channel) * t)));
+        }
+        return { rgb: table, css: table.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`) };
+    }
+
+    class MeraVisualizer {
+        // getAnalyser() returns the engine's AnalyserNode or null; isPlaying()
+        // tells whether there is anything to draw
+        constructor(canvas, { getAnalyser, isPlaying, mode = 'spectrum', colormap = 'viridis', lowCpu = false }) {
+            this.canvas = canvas;
+            this.ctx = canvas.getContext('2d');
+            this.getAnalyser = getAnalyser;
+            this.isPlaying = isPlaying;
+            this.lookups = {};
+            this.frame = null;
+            this.lastFrame = 0;
+            this.data = null;
+            this.setMode(mode);
+            this.setColormap(colormap);
+            this.setLowCpu(lowCpu);
+
+            document.addEventListener('visibilitychange', () => this.update());
+            if ('ResizeObserver' in window) {
+                new ResizeObserver(() => this.resize()).observe(canvas);
+            }
+            this.resize();
+        }
+
+        setMode(mode) {
+            this.mode = MODES.includes(mode) ? mode : 'spectrum';
+            this.clear();
+        }
+
+        setColormap(name) {
+            this.colormap = COLORMAPS[name] ? name : 'viridis';
+            if (!this.lookups[this.colormap]) this.lookups[this.colormap] = buildLookup(COLORMAPS[this.colormap]);
+            this.lookup = this.lookups[this.colormap];
+            this.clear();
+        }
+
+        setLowCpu(lowCpu) {
+            this.lowCpu = !!lowCpu;
+            this.quality = QUALITY[this.lowCpu ? 'low' : 'normal'];
+            this.resize();
+        }
+
+        resize() {
+            const ratio = this.lowCpu ? 1 : Math.min(2, window.devicePixelRatio || 1);
+            const width = Math.max(1, Math.round(this.canvas.clientWidth * ratio));
+            const height = Math.max(1, Math.round(this.canvas.clientHeight * ratio));
+            if (this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+            this.clear();
+        }
+
+        clear() {
+            if (!this.ctx) return;
+            this.ctx.fillStyle = this.lookup ? this.lookup.css[0] : '#000';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        // Call when playback starts or stops; runs the animation only while
+        // something is playing in a visible window
+        update() {
+            const shouldRun = !!this.ctx && document.visibilityState === 'visible' && this.isPlaying();
+            if (shouldRun && !this.frame) {
+                this.frame = requestAnimationFrame(time => this.draw(time));
+            } else if (!shouldRun && this.frame) {
+                cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+        }
+
+        draw(time) {
+            this.frame = requestAnimationFrame(next => this.draw(next));
+            if (time - this.lastFrame < this.quality.frameMs) return;
+            this.lastFrame = time;
+
+            const analyser = this.getAnalyser();
+            if (!analyser) return;
+            if (analyser.fftSize !== this.quality.fftSize) analyser.fftSize = this.quality.fftSize;
+            const size = this.mode === 'waveform' ? analyser.fftSize : analyser.frequencyBinCount;
+            if (!this.data || this.data.length !== size) this.data = new Uint8Array(size);
+
+            if (this.mode === 'waveform') {
+                analyser.getByteTimeDomainData(this.data);
+                this.drawWaveform();
+            } else {
+                analyser.getByteFrequencyData(this.data);
+                const nyquist = analyser.context.sampleRate / 2;
+                if (this.mode === 'spectrogram') this.drawSpectrogram(nyquist);
+                else this.drawSpectrum(nyquist);
+            }
+        }
+
+        // Bin index for a position 0..1 on the log frequency axis
+        binAt(position, nyquist) {
+            const frequency = MIN_FREQUENCY * Math.pow(nyquist / MIN_FREQUENCY, position);
+            return Math.min(this.data.length - 1, Math.round(frequency / nyquist * this.data.length));
+        }
+
+        drawSpectrum(nyquist) {
+            const { width, height } = this.canvas;
+            const ctx = this.ctx;
+            const bars = this.quality.bars;
+            const barWidth = width / bars;
+            ctx.fillStyle = this.lookup.css[0];
+            ctx.fillRect(0, 0, width, height);
+            for (let i = 0; i < bars; i++) {
+                let level = 0;
+                const from = this.binAt(i / bars, nyquist);
+                const to = Math.max(from + 1, this.binAt((i + 1) / bars, nyquist));
+                for (let bin = from; bin < to; bin++) level = Math.max(level, this.data[bin]);
+                const barHeight = level / 255 * height;
+                // Colour by loudness, so quiet bars stay dark as in a map
+                ctx.fillStyle = this.lookup.css[Math.max(40, level)];
+                ctx.fillRect(i * barWidth + 1, height - barHeight, Math.max(1, barWidth - 2), barHeight);
+            }
+        }
+
+        // Shift the picture left by one column and paint the newest spectrum
+        // as the right-hand column, low frequencies at the bottom
+        drawSpectrogram(nyquist) {
+            const { width, height } = this.canvas;
+            const ctx = this.ctx;
+            const column = this.lowCpu ? 2 : 1;
+            ctx.drawImage(this.canvas, column, 0, width - column, height, 0, 0, width - column, height);
+            const image = ctx.createImageData(column, height);
+            for (let y = 0; y < height; y++) {
+                const [r, g, b] = this.lookup.rgb[this.data[this.binAt(1 - y / height, nyquist)]];
+                for (let x = 0; x < column; x++) {
+                    const offset = (y * column + x) * 4;
+                    image.data[offset] = r;
+                    image.data[offset + 1] = g;
+                    image.data[offset + 2] = b;
+                    image.data[offset + 3] = 255;
+                }
+            }
+            ctx.putImageData(image, width - column, 0);
+        }
+
+        drawWaveform() {
+            const { width, height } = this.canvas;
+            const ctx = this.ctx;
+            ctx.fillStyle = this.lookup.css[0];
+            ctx.fillRect(0, 0, width, height);
+            let peak = 0;
+            ctx.beginPath();
+            for (let i = 0; i < this.data.length; i++) {
+                const x = i / (this.data.length - 1) * width;
+                const y = this.data[i] / 255 * height;
+                peak = Math.max(peak, Math.abs(this.data[i] - 128));
+                if (i) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+            }
+            ctx.lineWidth = this.lowCpu ? 1 : 2;
+            ctx.strokeStyle = this.lookup.css[Math.min(255, 110 + peak)];
+            ctx.stroke();
+        }
+    }
+
+    MeraVisualizer.COLORMAPS = Object.keys(COLORMAPS);
+    MeraVisualizer.MODES = MODES;
+    window.MeraVisualizer = MeraVisualizer;
+})();
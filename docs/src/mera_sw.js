@@ -0,0 +1,230 @@
+// MERA.jl documentation - service worker for offline reading
+// Lives at the docs root (Documenter copies it into the build next to
+// index.html) so its scope covers every page of this docs version. custom.js
+// registers it; the panel in assets/mera_offline.js talks to it with
+// postMessage. make.jl stamps BUILD after each build, so every deploy starts
+// with fresh caches:
+//
+//   mera-docs-<scope>-<build>  visited pages, search_index.js, assets and
+//                              the CDN libraries Documenter loads
+//   mera-music-<scope>         tracks the reader chose to keep; kept across
+//                              builds, as the music files rarely change
+//
+// Pages come from the network first and from the cache when offline (or
+// slow, with a copy at hand). Assets of a build never change and are served
+// from the cache. Music is only served from the cache if the reader chose
+// the track, with byte ranges for the audio element.
+//
+// An unstamped worker (a local build) fetches assets first too, so edits show.
+
+'use strict';
+
+const BUILD = '__MERA_BUILD__';
+const DEV = BUILD.startsWith('__');
+const SCOPE = new URL(self.registration.scope).pathname;
+const DOCS_PREFIX = `mera-docs-${SCOPE}-`;
+const DOCS_CACHE = DOCS_PREFIX + BUILD;
+const MUSIC_CACHE = `mera-music-${SCOPE}`;
+const NETWORK_TIMEOUT_MS = 4000;
+// Where Documenter's HTMLWriter loads jQuery, RequireJS, KaTeX, highlight.js
+// and the fonts from. Their responses are opaque; browsers count each one
+// generously against the quota, which shows in the storage figure.
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const MUSIC_FILE = /\/assets\/music\/[^/]+\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|webm)$/i;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+// Drop the caches of earlier builds of this docs version
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(DOCS_PREFIX) && name !== DOCS_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// This docs version and the CDNs; analytics and the rest are left alone
+function isOurs(url) {
+    if (url.origin === self.location.origin) return url.pathname.startsWith(SCOPE);
+    return CDN_HOSTS.includes(url.hostname);
+}
+
+function isPage(request, url) {
+    return request.mode === 'navigate' || /(\/|\.html)$/.test(url.pathname);
+}
+
+function timeout(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function offlinePage() {
+    const html = `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Offline - Mera.jl</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 36em; margin: 4em auto; padding: 0 1em;">
+<h1>You are offline</h1>
+<p>This page of the Mera.jl documentation has not been saved for offline reading.
+Pages you have visited, and sections saved from the offline panel, are still available.</p>
+<p><a href="${SCOPE}">Documentation home</a></p></body></html>`;
+    return new Response(html, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// Network first; the saved copy when the network fails or keeps us waiting
+async function pageResponse(request) {
+    const cache = await caches.open(DOCS_CACHE);
+    const network = fetch(request).then(response => {
+        const type = response.headers.get('Content-Type') || '';
+        if (response.ok && type.includes('text/html')) cache.put(request.url, response.clone());
+        return response;
+    });
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (!cached) return network.catch(() => offlinePage());
+    return Promise.race([
+        network.catch(() => cached),
+        timeout(NETWORK_TIMEOUT_MS).then(() => cached)
+    ]);
+}
+
+async function assetResponse(request) {
+    const cache = await caches.open(DOCS_CACHE);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached && !DEV) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// The audio element asks for byte ranges; answer them from the saved file
+async function musicResponse(request) {
+    const cache = await caches.open(MUSIC_CACHE);
+    const cached = await cache.match(request.url, { ignoreSearch: true, ignoreVary: true });
+    if (!cached) return fetch(request);
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+    if (!range) return cached;
+
+    const blob = await cached.blob();
+    let start;
+    let end;
+    if (range[1]) {
+        start = Number(range[1]);
+        end = range[2] ? Math.min(Number(range[2]), blob.size - 1) : blob.size - 1;
+    } else {
+        // "bytes=-500": the last 500 bytes
+        start = Math.max(0, blob.size - Number(range[2]));
+        end = blob.size - 1;
+    }
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (!isOurs(url)) return;
+    if (url.origin !== self.location.origin) event.respondWith(assetResponse(request));
+    else if (MUSIC_FILE.test(url.pathname)) event.respondWith(musicResponse(request));
+    else if (isPage(request, url)) event.respondWith(pageResponse(request));
+    else event.respondWith(assetResponse(request));
+});
+
+// Same-origin images a saved page shows (figures, plots)
+function imagesIn(html, pageURL) {
+    const urls = [];
+    for (const match of html.matchAll(/<img\b[^>]*?\ssrc="([^"]+)"/gi)) {
+        const url = new URL(match[1].replace(/&amp;/g, '&'), pageURL);
+        if (url.origin === self.location.origin && isOurs(url)) urls.push(url.href);
+    }
+    return urls;
+}
+
+// Download urls into a cache one at a time (connections are poor where
+// this is used). Returns { saved, failed }.
+async function save(cacheName, urls, { withImages = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const queue = Array.from(new Set(urls)).filter(url => isOurs(new URL(url)));
+    const seen = new Set(queue);
+    const failed = [];
+    let saved = 0;
+    while (queue.length) {
+        const url = queue.shift();
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const type = response.headers.get('Content-Type') || '';
+            if (withImages && type.includes('text/html')) {
+                imagesIn(await response.clone().text(), url).forEach(image => {
+                    if (!seen.has(image)) {
+                        seen.add(image);
+                        queue.push(image);
+                    }
+                });
+            }
+            await cache.put(url, response);
+            saved++;
+        } catch (error) {
+            failed.push(url);
+        }
+    }
+    return { saved, failed };
+}
+
+const HANDLERS = {
+    async status() {
+        const docs = await (await caches.open(DOCS_CACHE)).keys();
+        const music = await (await caches.open(MUSIC_CACHE)).keys();
+        const pages = docs.filter(request => {
+            const url = new URL(request.url);
+            return url.origin === self.location.origin && /(\/|\.html)$/.test(url.pathname);
+        });
+        return {
+            build: BUILD,
+            pages: pages.map(request => request.url),
+            files: docs.length - pages.length,
+            music: music.map(request => request.url)
+        };
+    },
+    savePages: (urls) => save(DOCS_CACHE, urls, { withImages: true }),
+    saveMusic: (urls) => save(MUSIC_CACHE, urls),
+    async removeMusic(urls) {
+        const cache = await caches.open(MUSIC_CACHE);
+        await Promise.all(urls.map(url => cache.delete(url)));
+        return { removed: urls.length };
+    },
+    async clear() {
+        const names = (await caches.keys()).filter(name => name.startsWith(DOCS_PREFIX) || name === MUSIC_CACHE);
+        await Promise.all(names.map(name => caches.delete(name)));
+        return { cleared: names.length };
+    }
+};
+
+// { type, urls } from the page, answered on the MessagePort it sends along
+self.addEventListener('message', (event) => {
+    const { type, urls = [] } = event.data || {};
+    const port = event.ports[0];
+    if (!port) return;
+    if (!HANDLERS[type]) {
+        port.postMessage({ error: `Unknown request "${type}"` });
+        return;
+    }
+    event.waitUntil(HANDLERS[type](urls).then(
+        result => port.postMessage({ result }),
+        error => port.postMessage({ error: error.message })
+    ));
+});
@@ -0,0 +1,98 @@
+// State store in mera_store.js: `node --test docs/test`
+// Each test opens a new MeraStore on a fresh localStorage, as a page load would.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        has: key => values.has(key)
+    };
+}
+
+function fakeTarget() {
+    const listeners = {};
+    return {
+        addEventListener: (type, handler) => (listeners[type] = listeners[type] || []).push(handler),
+        dispatch: (type, event = {}) => (listeners[type] || []).forEach(handler => handler(event))
+    };
+}
+
+global.window = Object.assign(fakeTarget(), { localStorage: memoryStorage() });
+global.document = Object.assign(fakeTarget(), { visibilityState: 'visible' });
+console.log = () => {};
+console.warn = () => {};
+require(path.join(__dirname, '..', 'src', 'assets', 'mera_store.js'));
+const MeraStore = window.MeraStore;
+
+function openStore(entries = {}) {
+    window.localStorage = memoryStorage();
+    Object.keys(entries).forEach(key => window.localStorage.setItem(key, entries[key]));
+    return new MeraStore();
+}
+
+const stored = () => JSON.parse(window.localStorage.getItem('mera-state'));
+
+test('the keys from before the store move into it, once', () => {
+    const store = openStore({
+        'mera-was-playing': 'true',
+        'mera-current-track': 'vega.mp3',
+        'mera-audio-time': '12.5',
+        'mera-simcode': 'RAMSES'
+    });
+    assert.deepStrictEqual(store.data, {
+        player: { wasPlaying: true, track: 'vega.mp3', time: 12.5 },
+        tabs: { order: ['RAMSES'] }
+    });
+    assert.strictEqual(stored().version, MeraStore.VERSION);
+    assert.deepStrictEqual(stored().data, store.data);
+    ['mera-was-playing', 'mera-current-track', 'mera-audio-time', 'mera-simcode']
+        .forEach(key => assert.ok(!window.localStorage.has(key), key));
+});
+
+test('a first visit stores nothing to migrate', () => {
+    const store = openStore();
+    assert.deepStrictEqual(store.data, { player: {}, tabs: {} });
+    assert.strictEqual(stored().version, MeraStore.VERSION);
+});
+
+test('data from a newer version of the docs is not guessed at', () => {
+    const store = openStore({ 'mera-state': JSON.stringify({ version: MeraStore.VERSION + 1, data: { player: { volume: 2 } } }) });
+    assert.deepStrictEqual(store.data, {});
+});
+
+test('a corrupt entry starts over', () => {
+    const store = openStore({ 'mera-state': '{not json' });
+    assert.deepStrictEqual(store.data, { player: {}, tabs: {} });
+});
+
+test('a write merges into what another tab stored meanwhile', () => {
+    const store = openStore({ 'mera-state': JSON.stringify({ version: MeraStore.VERSION, data: {} }) });
+    store.namespace('player').set('volume', 0.4);
+    window.localStorage.setItem('mera-state', JSON.stringify({
+        version: MeraStore.VERSION,
+        data: { tabs: { order: ['PLUTO'] } }
+    }));
+    store.flush();
+    assert.deepStrictEqual(stored().data, { tabs: { order: ['PLUTO'] }, player: { volume: 0.4 } });
+});
+
+test('subscribers hear values other windows store, and only changes', () => {
+    const store = openStore({ 'mera-state': JSON.stringify({ version: MeraStore.VERSION, data: {} }) });
+    const heard = [];
+    store.namespace('tabs').subscribe('order', (order, previous) => heard.push([order, previous]));
+    window.localStorage.setItem('mera-state', JSON.stringify({
+        version: MeraStore.VERSION,
+        data: { tabs: { order: ['GADGET'] } }
+    }));
+    window.dispatch('storage', { key: 'mera-state' });
+    window.dispatch('storage', { key: 'mera-state' });
+    assert.deepStrictEqual(heard, [[['GADGET'], undefined]]);
+});
@@ -0,0 +1,156 @@
+// Crossfades and fades in music_engine.js: `node --test docs/test`
+// Runs the engine against a stand-in for <audio> without Web Audio (as under
+// file://), so fades step the element volume on timers; the Web Audio tests
+// give it a fake AudioContext whose clock they move by hand.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+class FakeAudio {
+    constructor() {
+        this.src = '';
+        this.paused = true;
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.volume = 1;
+        this.preload = '';
+        this.loop = false;
+    }
+    addEventListener() {}
+    load() {}
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+    pause() {
+        this.paused = true;
+    }
+}
+
+// Stand-in for the state store (mera_store.js), in memory
+const stored = new Map();
+const meraStore = {
+    namespace: (name) => ({
+        get: (key, fallback) => stored.has(`${name}.${key}`) ? stored.get(`${name}.${key}`) : fallback,
+        set: (key, value) => stored.set(`${name}.${key}`, value)
+    })
+};
+
+global.window = { location: { protocol: 'file:' }, meraStore };
+global.Audio = FakeAudio;
+// The engine's progress logs would mix with the test runner's output
+console.log = () => {};
+require(path.join(__dirname, '..', 'src', 'assets', 'music_engine.js'));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('two quick skips leave the newest track playing', async () => {
+    const engine = new window.MeraAudioEngine({ volume: 0.5 });
+    engine.crossfade = 0.3;
+    await engine.playTrack('a.mp3');
+
+    const first = engine.playTrack('b.mp3');   // crossfade a -> b
+    await wait(100);
+    const second = engine.playTrack('c.mp3');  // skip again mid-fade: b -> c
+    await Promise.all([first, second]);
+    await wait(50);
+
+    assert.strictEqual(engine.active.src, 'c.mp3');
+    assert.strictEqual(engine.active.paused, false, 'the deck playing c must not be paused');
+    assert.strictEqual(engine.idle.paused, true, 'the deck faded out is paused');
+    assert.strictEqual(engine.fading, false);
+    assert.ok(engine.active.volume > 0.49, 'the new track has faded in fully');
+});
+
+test('a skip right after a skip still settles on one playing deck', async () => {
+    const engine = new window.MeraAudioEngine({ volume: 0.5 });
+    engine.crossfade = 0.3;
+    await engine.playTrack('a.mp3');
+
+    const skips = [engine.playTrack('b.mp3'), engine.playTrack('c.mp3'), engine.playTrack('d.mp3')];
+    await Promise.all(skips);
+    await wait(50);
+
+    assert.strictEqual(engine.active.src, 'd.mp3');
+    assert.strictEqual(engine.active.paused, false);
+    assert.strictEqual(engine.idle.paused, true);
+});
+
+// Web Audio stand-in: the test moves currentTime by hand, and each gain
+// records the value its last ramp started from
+class FakeParam {
+    constructor(value) {
+        this.value = value;
+        this.startedAt = [];
+    }
+    cancelScheduledValues() {}
+    setValueAtTime(value) {
+        this.value = value;
+        this.startedAt.push(value);
+    }
+    linearRampToValueAtTime() {}
+    setTargetAtTime() {}
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = {};
+    }
+    resume() {
+        return Promise.resolve();
+    }
+    createGain() {
+        return { gain: new FakeParam(1), connect: node => node };
+    }
+    createMediaElementSource() {
+        return { connect: node => node };
+    }
+}
+
+// The engine decides on Web Audio when it is made; the tests above run
+// without it, as under file://
+function webAudioEngine() {
+    window.location.protocol = 'https:';
+    window.AudioContext = FakeAudioContext;
+    try {
+        return new window.MeraAudioEngine({ volume: 0.5 });
+    } finally {
+        window.location.protocol = 'file:';
+    }
+}
+
+const lastStart = (deck) => deck.gain.gain.startedAt[deck.gain.gain.startedAt.length - 1];
+
+test('a skip during the fade-in fades the old deck out from where it stood', async () => {
+    const engine = webAudioEngine();
+    engine.crossfade = 1;
+    await engine.playTrack('https://docs.example/a.mp3');   // fades in over 0.6 s
+    const first = engine.decks[engine.activeIndex];
+    assert.ok(first.gain, 'the Web Audio graph is in use');
+
+    engine.context.currentTime += 0.3;                      // halfway up
+    const skip = engine.playTrack('https://docs.example/b.mp3');
+    await wait(0);
+    assert.ok(Math.abs(lastStart(first) - 0.5) < 1e-9, `fade-out starts at ${lastStart(first)}, not at full volume`);
+
+    engine.stop();
+    await skip;
+});
+
+test('pausing during the resume fade-in does not jump to full volume first', async () => {
+    const engine = webAudioEngine();
+    await engine.playTrack('https://docs.example/a.mp3');
+    const deck = engine.decks[engine.activeIndex];
+
+    engine.context.currentTime += 0.15;                     // a quarter of the way up
+    const paused = engine.pause();
+    assert.ok(Math.abs(lastStart(deck) - 0.25) < 1e-9, `fade-out starts at ${lastStart(deck)}`);
+
+    engine.stop();
+    await paused;
+});
@@ -0,0 +1,107 @@
+// Play queue in music_queue.js: `node --test docs/test`
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+const saved = new Map();
+global.window = {
+    meraStore: {
+        namespace: () => ({
+            get: (key, fallback) => saved.has(key) ? saved.get(key) : fallback,
+            set: (key, value) => saved.set(key, value)
+        })
+    }
+};
+require(path.join(__dirname, '..', 'src', 'assets', 'music_queue.js'));
+const MeraPlayQueue = window.MeraPlayQueue;
+
+const FILES = ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3'];
+
+function inOrder() {
+    const queue = new MeraPlayQueue(FILES);
+    queue.setShuffle(false);
+    return queue;
+}
+
+test.beforeEach(() => saved.clear());
+
+test('a shuffled bag plays every track once before repeating', () => {
+    const queue = new MeraPlayQueue(FILES);
+    const played = FILES.map(() => queue.next());
+    assert.deepStrictEqual(played.slice().sort(), FILES);
+});
+
+test('a new bag never starts with the track that just finished', () => {
+    for (let round = 0; round < 20; round++) {
+        const queue = new MeraPlayQueue(FILES);
+        FILES.forEach(() => queue.next());
+        const last = queue.current;
+        assert.notStrictEqual(queue.next(), last);
+    }
+});
+
+test('previous() walks the history and next() returns along it', () => {
+    const queue = inOrder();
+    queue.next();
+    queue.next();
+    queue.next();
+    assert.strictEqual(queue.previous(), 'b.mp3');
+    assert.strictEqual(queue.previous(), 'a.mp3');
+    assert.strictEqual(queue.next(), 'b.mp3');
+    assert.strictEqual(queue.next(), 'c.mp3');
+    assert.strictEqual(queue.next(), 'd.mp3');
+});
+
+test('repeat one replays only a track that ended by itself', () => {
+    const queue = inOrder();
+    queue.next();
+    queue.setRepeat('one');
+    assert.strictEqual(queue.peek(), 'a.mp3');
+    assert.strictEqual(queue.next({ auto: true }), 'a.mp3');
+    assert.strictEqual(queue.next(), 'b.mp3');
+});
+
+test('repeat off stops at the end of the list, a button press starts over', () => {
+    const queue = inOrder();
+    queue.setRepeat('off');
+    FILES.forEach(() => queue.next({ auto: true }));
+    assert.strictEqual(queue.peek(), null);
+    assert.strictEqual(queue.next({ auto: true }), null);
+    assert.strictEqual(queue.next(), 'a.mp3');
+});
+
+test('cycleRepeat() goes all, one, off and back', () => {
+    const queue = new MeraPlayQueue(FILES);
+    assert.deepStrictEqual([queue.cycleRepeat(), queue.cycleRepeat(), queue.cycleRepeat()], ['one', 'off', 'all']);
+});
+
+test('a chosen track jumps the queue and leaves the rest of the bag', () => {
+    const queue = inOrder();
+    queue.next();
+    assert.strictEqual(queue.play('c.mp3'), 'c.mp3');
+    assert.strictEqual(queue.play('missing.mp3'), null);
+    assert.deepStrictEqual(queue.upcoming, ['b.mp3', 'd.mp3']);
+    assert.deepStrictEqual(queue.history, ['a.mp3']);
+});
+
+test('the saved queue comes back without tracks that left the manifest', () => {
+    const queue = inOrder();
+    queue.next();
+    queue.next();
+    const restored = MeraPlayQueue.load(['b.mp3', 'c.mp3', 'd.mp3']);
+    assert.strictEqual(restored.current, 'b.mp3');
+    assert.deepStrictEqual(restored.history, []);
+    assert.deepStrictEqual(restored.upcoming, ['c.mp3', 'd.mp3']);
+    assert.strictEqual(restored.shuffle, false);
+});
+
+test('an empty manifest keeps the saved queue', () => {
+    const queue = inOrder();
+    queue.next();
+    const restored = MeraPlayQueue.load([]);
+    assert.strictEqual(restored.current, 'a.mp3');
+    assert.deepStrictEqual(restored.upcoming, ['b.mp3', 'c.mp3', 'd.mp3']);
+});
@@ -0,0 +1,94 @@
+// Encoding choice and loudness in music_sources.js: `node --test docs/test`
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// What the fake browser answers to canPlayType(); '' for anything else
+let supported = {};
+const connection = {};
+global.window = {};
+global.document = { createElement: () => ({ canPlayType: type => supported[type] || '' }) };
+Object.defineProperty(globalThis, 'navigator', { value: { connection }, configurable: true, writable: true });
+require(path.join(__dirname, '..', 'src', 'assets', 'music_sources.js'));
+const MeraSources = window.MeraSources;
+
+const OPUS = 'audio/ogg; codecs=opus';
+const VORBIS = 'audio/ogg; codecs=vorbis';
+const MP3 = 'audio/mpeg';
+
+// Failed encodings are remembered for the page; each test names its own files
+function track(name) {
+    return {
+        file: `${name}.mp3`,
+        sources: [
+            { file: `${name}.opus`, type: OPUS, kbps: 96 },
+            { file: `${name}.ogg`, type: VORBIS, kbps: 64 },
+            { file: `${name}.mp3`, type: MP3, kbps: 192 }
+        ]
+    };
+}
+
+test.beforeEach(() => {
+    supported = { [OPUS]: 'probably', [VORBIS]: 'probably', [MP3]: 'probably' };
+    Object.keys(connection).forEach(key => delete connection[key]);
+});
+
+test('the first listed encoding the browser plays wins', () => {
+    assert.strictEqual(MeraSources.pick(track('first')), 'first.opus');
+    delete supported[OPUS];
+    assert.strictEqual(MeraSources.pick(track('first')), 'first.ogg');
+});
+
+test('"probably" goes before "maybe", whatever the order', () => {
+    supported[OPUS] = 'maybe';
+    assert.strictEqual(MeraSources.pick(track('rank')), 'rank.ogg');
+});
+
+test('Save-Data and slow connections take the smallest encoding', () => {
+    connection.saveData = true;
+    assert.strictEqual(MeraSources.pick(track('small')), 'small.ogg');
+    delete connection.saveData;
+    connection.effectiveType = '3g';
+    assert.strictEqual(MeraSources.pick(track('small')), 'small.ogg');
+    delete connection.effectiveType;
+    connection.downlink = 10;
+    assert.strictEqual(MeraSources.pick(track('small')), 'small.opus');
+});
+
+test('an encoding that failed is skipped, until none is left', () => {
+    const vega = track('failed');
+    assert.strictEqual(MeraSources.markFailed(vega, 'failed.opus'), true);
+    assert.strictEqual(MeraSources.pick(vega), 'failed.ogg');
+    assert.strictEqual(MeraSources.markFailed(vega, 'failed.ogg'), true);
+    assert.strictEqual(MeraSources.markFailed(vega, 'failed.mp3'), false);
+    assert.strictEqual(MeraSources.pick(vega), 'failed.mp3');
+});
+
+test('without sources the file is the encoding, its type from the extension', () => {
+    assert.deepStrictEqual(MeraSources.candidates({ file: 'plain.MP3' }), [{ file: 'plain.MP3', type: MP3, kbps: Infinity }]);
+    assert.strictEqual(MeraSources.pick({ file: 'plain.mp3' }), 'plain.mp3');
+    supported = {};
+    assert.strictEqual(MeraSources.pick({ file: 'plain.flac' }), 'plain.flac');
+    assert.strictEqual(MeraSources.pick(null), null);
+});
+
+test('loudness: ReplayGain first, then LUFS, the source before the track', () => {
+    const galaxy = {
+        file: 'galaxy.mp3',
+        lufs: -14,
+        sources: [{ file: 'galaxy.ogg', lufs: -17.5 }, { file: 'galaxy.mp3', replaygain: -2.5, lufs: -12 }]
+    };
+    assert.strictEqual(MeraSources.gainDb(galaxy, 'galaxy.ogg'), -0.5);
+    assert.strictEqual(MeraSources.gainDb(galaxy, 'galaxy.mp3'), -2.5);
+    assert.strictEqual(MeraSources.gainDb(galaxy, 'galaxy.opus'), -4);
+    assert.strictEqual(MeraSources.gainDb({ file: 'quiet.mp3' }, 'quiet.mp3'), 0);
+    assert.strictEqual(MeraSources.gainDb(null, 'any.mp3'), 0);
+});
+
+test('loudness corrections are capped', () => {
+    assert.strictEqual(MeraSources.gainDb({ file: 'soft.mp3', lufs: -40 }, 'soft.mp3'), 6);
+    assert.strictEqual(MeraSources.gainDb({ file: 'loud.mp3', replaygain: -30 }, 'loud.mp3'), -20);
+});
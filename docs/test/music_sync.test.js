@@ -0,0 +1,209 @@
+// Ownership lease and tab hand-over in music_sync.js: `node --test docs/test`
+// Each "tab" is a MeraTabSync with its own window events; they talk over
+// Node's BroadcastChannel and share one localStorage, as tabs of one site do.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear()
+    };
+}
+
+function fakeWindow() {
+    const listeners = {};
+    return {
+        BroadcastChannel,
+        addEventListener: (type, handler) => (listeners[type] = listeners[type] || []).push(handler),
+        dispatch: (type, event = {}) => (listeners[type] || []).forEach(handler => handler(event))
+    };
+}
+
+global.localStorage = memoryStorage();
+global.sessionStorage = memoryStorage();
+global.window = fakeWindow();
+console.log = () => {};
+require(path.join(__dirname, '..', 'src', 'assets', 'music_sync.js'));
+const MeraTabSync = window.MeraTabSync;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Past HANDOVER_GRACE_MS and its jitter
+const HANDOVER_WAIT_MS = 2500;
+
+const tabs = [];
+
+function openTab(state = {}) {
+    global.window = fakeWindow();
+    const calls = { handover: [], popupHandover: [], ownership: [], commands: [] };
+    const sync = new MeraTabSync({
+        getState: () => state,
+        onCommand: (command, arg) => calls.commands.push([command, arg]),
+        onRemoteState: () => {},
+        onOwnershipChange: (isOwner) => calls.ownership.push(isOwner),
+        onHandover: (s) => calls.handover.push(s),
+        onPopupHandover: (s) => calls.popupHandover.push(s)
+    });
+    sync.start();
+    const tab = { sync, window: global.window, calls, state };
+    tabs.push(tab);
+    return tab;
+}
+
+function closeAll() {
+    tabs.splice(0).forEach(({ sync }) => {
+        clearInterval(sync.heartbeatTimer);
+        clearTimeout(sync.watchdogTimer);
+        clearTimeout(sync.handoverTimer);
+        if (sync.channel) sync.channel.close();
+    });
+    localStorage.clear();
+    sessionStorage.clear();
+}
+
+test.afterEach(closeAll);
+
+const lease = () => JSON.parse(localStorage.getItem('mera-music-owner'));
+
+test('a new page follows the tab holding the lease instead of claiming it', async () => {
+    const owner = openTab({ isPlaying: true });
+    owner.sync.claim();
+    const other = openTab();
+    await wait(50);
+
+    assert.strictEqual(lease().id, owner.sync.id);
+    assert.ok(lease().expires > Date.now());
+    assert.strictEqual(other.sync.isOwner, false);
+    assert.strictEqual(other.sync.hasRemoteOwner(), true);
+    assert.strictEqual(other.sync.ownerId, owner.sync.id);
+    assert.deepStrictEqual(other.sync.remoteState, { isPlaying: true }, 'the owner answered hello');
+});
+
+test('an expired lease is nobody\'s', () => {
+    localStorage.setItem('mera-music-owner', JSON.stringify({ id: 'gone', expires: Date.now() - 1 }));
+    const tab = openTab();
+    assert.strictEqual(tab.sync.hasRemoteOwner(), false);
+    assert.strictEqual(tab.sync.ownerId, null);
+});
+
+test('the next page of the owning tab takes the lease straight back', () => {
+    const owner = openTab({ isPlaying: true });
+    owner.sync.claim();
+    owner.window.dispatch('pagehide');
+    owner.sync.channel.close();
+    owner.sync.channel = null;
+
+    const next = openTab();
+    assert.strictEqual(next.sync.isOwner, true);
+    assert.strictEqual(lease().id, next.sync.id);
+    assert.strictEqual(sessionStorage.getItem('mera-music-handoff'), null, 'the hand-off is used once');
+});
+
+test('when two tabs claim at once the smaller id keeps ownership', async () => {
+    const first = openTab();
+    const second = openTab();
+    first.sync.id = 'tab-a';
+    second.sync.id = 'tab-b';
+    second.sync.claim();
+    first.sync.claim();
+    await wait(50);
+
+    assert.strictEqual(first.sync.isOwner, true);
+    assert.strictEqual(second.sync.isOwner, false);
+    assert.strictEqual(second.sync.ownerId, 'tab-a');
+    assert.deepStrictEqual(second.calls.ownership, [true, false]);
+});
+
+test('commands from other tabs reach the owner only', async () => {
+    const owner = openTab();
+    owner.sync.claim();
+    const remote = openTab();
+    const bystander = openTab();
+    await wait(50);
+
+    remote.sync.send('volume', 0.3);
+    owner.sync.send('next'); // the owner runs its own commands
+    await wait(50);
+
+    assert.deepStrictEqual(owner.calls.commands, [['volume', 0.3]]);
+    assert.deepStrictEqual(bystander.calls.commands, []);
+});
+
+test('a closed tab whose popup plays is taken over without playing a second copy', async () => {
+    const owner = openTab({ isPlaying: true, activePlayer: 'popup', track: 'vega.mp3' });
+    owner.sync.claim();
+    const other = openTab();
+    await wait(50);
+    assert.strictEqual(other.sync.ownerId, owner.sync.id);
+
+    owner.window.dispatch('pagehide');
+    sessionStorage.clear(); // the tab is closed, not navigating
+    owner.sync.channel.close();
+    owner.sync.channel = null;
+    clearInterval(owner.sync.heartbeatTimer);
+    await wait(HANDOVER_WAIT_MS);
+
+    assert.strictEqual(other.sync.isOwner, true, 'the remaining tab owns the popup now');
+    assert.strictEqual(other.calls.handover.length, 0, 'it must not start the music itself');
+    assert.strictEqual(other.calls.popupHandover.length, 1);
+    assert.strictEqual(other.calls.popupHandover[0].track, 'vega.mp3');
+});
+
+test('a closed tab playing in its top bar is carried on by another tab', async () => {
+    const owner = openTab({ isPlaying: true, activePlayer: 'topbar', track: 'vega.mp3' });
+    owner.sync.claim();
+    const other = openTab();
+    await wait(50);
+
+    owner.window.dispatch('pagehide');
+    owner.sync.channel.close();
+    owner.sync.channel = null;
+    await wait(HANDOVER_WAIT_MS);
+
+    assert.strictEqual(other.sync.isOwner, true);
+    assert.strictEqual(other.calls.handover.length, 1);
+    assert.strictEqual(other.calls.popupHandover.length, 0);
+});
+
+test('an owner back from the back/forward cache in time keeps playback', async () => {
+    const owner = openTab({ isPlaying: true, activePlayer: 'topbar', track: 'vega.mp3' });
+    owner.sync.claim();
+    const other = openTab();
+    await wait(50);
+
+    owner.window.dispatch('pagehide');
+    assert.strictEqual(owner.sync.heartbeatTimer, null, 'no heartbeat while in the cache');
+    owner.window.dispatch('pageshow', { persisted: true });
+    await wait(HANDOVER_WAIT_MS);
+
+    assert.strictEqual(owner.sync.isOwner, true);
+    assert.notStrictEqual(owner.sync.heartbeatTimer, null, 'the heartbeat runs again');
+    assert.strictEqual(other.sync.isOwner, false);
+    assert.strictEqual(other.sync.ownerId, owner.sync.id);
+    assert.strictEqual(other.calls.handover.length, 0);
+});
+
+test('an owner back from the back/forward cache too late steps down', async () => {
+    const owner = openTab({ isPlaying: true, activePlayer: 'topbar', track: 'vega.mp3' });
+    owner.sync.claim();
+    const other = openTab();
+    await wait(50);
+
+    owner.window.dispatch('pagehide');
+    await wait(HANDOVER_WAIT_MS);
+    assert.strictEqual(other.sync.isOwner, true, 'another tab took over meanwhile');
+
+    owner.window.dispatch('pageshow', { persisted: true });
+    await wait(50);
+    assert.strictEqual(owner.sync.isOwner, false);
+    assert.strictEqual(owner.sync.ownerId, other.sync.id);
+    assert.deepStrictEqual(owner.calls.ownership, [true, false]);
+    assert.strictEqual(other.sync.isOwner, true, 'the new owner keeps playback');
+});